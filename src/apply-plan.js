@@ -0,0 +1,78 @@
+import { ShopifyClient } from './clients/shopify-client.js';
+import { SyncCache } from './utils/sync-cache.js';
+import { SyncPlan, DEFAULT_CONCURRENCY } from './utils/sync-plan.js';
+import { assertSchema } from './utils/schema-check.js';
+import { syncProductMetafields } from './sync-product-metafields.js';
+import { PRODUCT_METAFIELDS } from './config/product-metafields.js';
+import { shouldSyncReview } from './transformers/review-transformer.js';
+
+const STATISTICS_TYPE = 'yotpo_review_statistics';
+
+/**
+ * Applies a plan saved by `sync --dry-run --save-plan` (or `stats`) as-is,
+ * without fetching from Yotpo or recomputing anything. Sync plans also update the
+ * sync cache from the reviews they were made from; like `sync`, the last sync time only
+ * moves forward when every review and question write succeeded, so failed writes are
+ * fetched again next run.
+ * @param {string} filePath - Path to the plan JSON
+ * @param {object} options - { concurrency }
+ * @returns {object} - { source, types: { [type]: counts }, productMetafields, errors }
+ */
+export async function applySavedPlan(filePath, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY } = options;
+  const plan = SyncPlan.load(filePath);
+  const shopifyClient = ShopifyClient.fromEnv();
+
+  if (plan.shop !== shopifyClient.shopUrl) {
+    throw new Error(`Plan was created for ${plan.shop}, but SHOPIFY_SHOP_URL is ${shopifyClient.shopUrl}`);
+  }
+
+  console.log(`📝 Applying ${plan.source} plan from ${filePath} (created ${plan.createdAt})\n`);
+
+  await assertSchema(shopifyClient, [...new Set(plan.actions.map(action => action.type))]);
+
+  // Only review plans carry cache hashes
+  const syncCache = plan.source === 'sync' ? new SyncCache() : null;
+  const counts = await plan.apply({ shopifyClient, syncCache, concurrency });
+
+  const writeErrors = Object.values(counts).reduce((sum, typeCounts) => sum + typeCounts.errors, 0);
+  // Statistics are recalculated on every run, so only review and question writes hold back the last sync time
+  const syncErrors = Object.entries(counts)
+    .filter(([type]) => type !== STATISTICS_TYPE)
+    .reduce((sum, [, typeCounts]) => sum + typeCounts.errors, 0);
+
+  if (syncCache) {
+    const { reviews, complete } = plan.fetched || { reviews: [], complete: false };
+
+    syncCache.updateSnapshots(reviews, shouldSyncReview, complete);
+    syncCache.setPendingReviews(reviews.filter(shouldSyncReview).filter(review => syncCache.needsSync(review)));
+
+    if (syncErrors === 0) {
+      syncCache.updateLastSyncTime(plan.createdAt);
+    } else {
+      console.log(`\n⚠️  ${syncErrors} writes failed; the last sync time is left as it was so they are fetched again`);
+    }
+
+    syncCache.saveCache();
+  }
+
+  // Products point at the reviews and statistics that now exist in Shopify
+  const sources = Object.keys(counts).filter(type => PRODUCT_METAFIELDS.some(metafield => metafield.source === type));
+  const productMetafields = sources.length > 0
+    ? await syncProductMetafields(shopifyClient, { sources, concurrency })
+    : null;
+
+  console.log('\n' + '='.repeat(50));
+  console.log('Plan Applied');
+  console.log('='.repeat(50));
+  Object.entries(counts).forEach(([type, typeCounts]) => {
+    console.log(`${type}: ${typeCounts.created} created, ${typeCounts.updated} updated, ${typeCounts.errors} errors`);
+  });
+  if (productMetafields) {
+    console.log(`product metafields: ${productMetafields.updated} updated, ${productMetafields.errors} errors`);
+  }
+  console.log('='.repeat(50));
+
+  const errors = writeErrors + (productMetafields ? productMetafields.errors : 0);
+  return { source: plan.source, types: counts, productMetafields, errors };
+}
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { REMOVAL_POLICIES } from './sync-removals.js';
+
+/**
+ * Exit codes, so cron and CI jobs can tell partial failures from success
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // Fatal error, nothing (or not everything) ran
+  PARTIAL: 2, // Ran to completion, but some reviews/records/checks failed
+  USAGE: 64,  // Invalid command or flags
+};
+
+const OPTIONS = {
+  'dry-run': { type: 'boolean' },
+  plan: { type: 'boolean' },
+  'save-plan': { type: 'string' },
+  'removal-policy': { type: 'string' },
+  full: { type: 'boolean' },
+  resume: { type: 'boolean' },
+  bulk: { type: 'boolean' },
+  concurrency: { type: 'string' },
+  overlap: { type: 'string' },
+  since: { type: 'string' },
+  sku: { type: 'string', multiple: true },
+  limit: { type: 'string' },
+  out: { type: 'string' },
+  'env-file': { type: 'string' },
+  json: { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Flags every command accepts
+const GLOBAL_FLAGS = ['env-file', 'json', 'help'];
+
+// Command modules are imported lazily so --env-file is loaded before any client reads process.env
+const COMMANDS = {
+  setup: {
+    description: 'Create or migrate the metaobject definitions in Shopify',
+    usage: 'setup [reviews|statistics|questions] [--plan] [--yes]',
+    flags: ['plan', 'yes'],
+    async run({ options, positionals }) {
+      const target = positionals[0] || 'all';
+      if (!['all', 'reviews', 'statistics', 'questions'].includes(target)) {
+        throw new UsageError(`Unknown setup target "${target}" (expected reviews, statistics or questions)`);
+      }
+
+      const { setupDefinitions } = await import('./setup.js');
+      return setupDefinitions({ target, plan: options.plan, yes: options.yes });
+    },
+  },
+  sync: {
+    description: 'Sync reviews and questions, then statistics, from Yotpo to Shopify',
+    usage: 'sync [--dry-run] [--save-plan <file>] [--since <date>] [--sku <sku>...] [--limit <n>] [--removal-policy <policy>] [--full] [--overlap <minutes>] [--resume] [--bulk] [--concurrency <n>]',
+    flags: ['dry-run', 'save-plan', 'since', 'sku', 'limit', 'removal-policy', 'full', 'overlap', 'resume', 'bulk', 'concurrency'],
+    async run({ options }) {
+      const { syncReviews } = await import('./sync.js');
+      return syncReviews(options);
+    },
+  },
+  stats: {
+    description: 'Recalculate and sync review statistics only',
+    usage: 'stats [--dry-run] [--save-plan <file>] [--sku <sku>...] [--bulk] [--concurrency <n>]',
+    flags: ['dry-run', 'save-plan', 'sku', 'bulk', 'concurrency'],
+    async run({ options }) {
+      const { syncReviewStatistics } = await import('./sync-statistics.js');
+      return syncReviewStatistics(null, null, options);
+    },
+  },
+  apply: {
+    description: 'Apply a plan saved with --save-plan, exactly as recorded',
+    usage: 'apply <plan-file> [--concurrency <n>]',
+    flags: ['concurrency'],
+    async run({ options, positionals }) {
+      if (!positionals[0]) {
+        throw new UsageError('apply needs the path of a saved plan');
+      }
+
+      const { applySavedPlan } = await import('./apply-plan.js');
+      return applySavedPlan(positionals[0], options);
+    },
+  },
+  prune: {
+    description: 'Report and delete orphaned or duplicate metaobjects',
+    usage: 'prune [--dry-run] [--yes] [--bulk] [--concurrency <n>]',
+    flags: ['dry-run', 'yes', 'bulk', 'concurrency'],
+    async run({ options }) {
+      const { pruneMetaobjects } = await import('./prune.js');
+      return pruneMetaobjects(options);
+    },
+  },
+  theme: {
+    description: 'Write a Liquid section/snippet and Storefront API queries for the synced data',
+    usage: 'theme [--out <dir>]',
+    flags: ['out'],
+    async run({ options }) {
+      const { generateThemeFiles } = await import('./theme-files.js');
+      return generateThemeFiles({ out: options.out });
+    },
+  },
+  status: {
+    description: 'Show local sync cache state and configuration',
+    usage: 'status',
+    flags: [],
+    async run() {
+      const { getSyncStatus } = await import('./status.js');
+      return getSyncStatus();
+    },
+  },
+  verify: {
+    description: 'Check credentials and metaobject definitions',
+    usage: 'verify',
+    flags: [],
+    async run() {
+      const { verifySetup } = await import('./verify.js');
+      return verifySetup();
+    },
+  },
+};
+
+class UsageError extends Error {}
+
+function printHelp(commandName = null) {
+  const command = COMMANDS[commandName];
+
+  if (command) {
+    console.log(`Usage: yotpo-sync ${command.usage} [--env-file <path>] [--json]\n`);
+    console.log(command.description);
+    return;
+  }
+
+  console.log('Usage: yotpo-sync <command> [options]\n');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, { description }]) => {
+    console.log(`  ${name.padEnd(10)}${description}`);
+  });
+  console.log('\nOptions:');
+  console.log('  --dry-run          Show what would change without writing to Shopify');
+  console.log('  --plan             Show the definition changes setup would make, without making them');
+  console.log('  --save-plan <file> Write the computed plan as JSON (apply it later with "apply")');
+  console.log('  --since <date>     Only sync reviews created or updated on/after this date');
+  console.log('  --sku <sku>        Only sync this SKU (repeatable, or comma-separated)');
+  console.log('  --limit <n>        Sync at most n changed reviews');
+  console.log('  --removal-policy <policy>');
+  console.log('                     What to do with reviews deleted/archived/missing in Yotpo:');
+  console.log('                     deactivate (default), unpublish, delete or ignore');
+  console.log('  --full             Fetch every review from Yotpo instead of only recent changes');
+  console.log('  --overlap <min>    Minutes before the last sync to start incremental fetches (default: 60)');
+  console.log('  --resume           Continue an interrupted sync from its last checkpoint');
+  console.log('  --bulk             Read existing metaobjects and products with Bulk Operations (large stores)');
+  console.log('  --concurrency <n>  Shopify write requests in flight at once (default: 4)');
+  console.log('  --out <dir>        Directory theme writes its files to (default: theme)');
+  console.log('  --yes, -y          Do not ask for confirmation before deleting (prune, setup field removals)');
+  console.log('  --env-file <path>  Load credentials from this file (default: .env)');
+  console.log('  --json             Print the run summary as JSON on stdout (logs go to stderr)');
+  console.log('\nExit codes: 0 success, 1 failure, 2 completed with errors, 64 usage error');
+}
+
+/**
+ * Validates flags for the command and converts them to sync options
+ */
+function normalizeOptions(commandName, values) {
+  const allowed = [...GLOBAL_FLAGS, ...COMMANDS[commandName].flags];
+  const unsupported = Object.keys(values).filter(flag => !allowed.includes(flag));
+  if (unsupported.length > 0) {
+    throw new UsageError(`"${commandName}" does not support --${unsupported.join(', --')}`);
+  }
+
+  const options = { dryRun: Boolean(values['dry-run']), yes: Boolean(values.yes), plan: Boolean(values.plan) };
+
+  if (values['save-plan']) {
+    options.savePlan = values['save-plan'];
+  }
+
+  if (values.since) {
+    const since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new UsageError(`Invalid --since date: ${values.since}`);
+    }
+    options.since = since;
+  }
+
+  if (values.sku) {
+    options.skus = values.sku.flatMap(sku => sku.split(',')).map(sku => sku.trim()).filter(Boolean);
+  }
+
+  if (values.limit) {
+    const limit = Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new UsageError(`Invalid --limit: ${values.limit} (expected a positive integer)`);
+    }
+    options.limit = limit;
+  }
+
+  if (values.concurrency) {
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new UsageError(`Invalid --concurrency: ${values.concurrency} (expected a positive integer)`);
+    }
+    options.concurrency = concurrency;
+  }
+
+  if (values.out) {
+    options.out = values.out;
+  }
+
+  if (values.full) {
+    options.full = true;
+  }
+
+  if (values.overlap) {
+    const overlapMinutes = Number(values.overlap);
+    if (!Number.isFinite(overlapMinutes) || overlapMinutes < 0) {
+      throw new UsageError(`Invalid --overlap: ${values.overlap} (expected minutes, 0 or more)`);
+    }
+    options.overlapMinutes = overlapMinutes;
+  }
+
+  if (values.bulk) {
+    options.bulk = true;
+  }
+
+  if (values.resume) {
+    if (options.dryRun) {
+      throw new UsageError('--resume cannot be combined with --dry-run');
+    }
+    options.resume = true;
+  }
+
+  if (values['removal-policy']) {
+    if (!REMOVAL_POLICIES.includes(values['removal-policy'])) {
+      throw new UsageError(`Invalid --removal-policy: ${values['removal-policy']} (expected ${REMOVAL_POLICIES.join(', ')})`);
+    }
+    options.removalPolicy = values['removal-policy'];
+  }
+
+  return options;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printHelp();
+    return EXIT_CODES.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName, ...commandArgs] = positionals;
+
+  if (!commandName || values.help) {
+    printHelp(commandName);
+    return commandName || values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  if (!COMMANDS[commandName]) {
+    console.error(`❌ Unknown command "${commandName}"\n`);
+    printHelp();
+    return EXIT_CODES.USAGE;
+  }
+
+  // Keep stdout clean for the JSON summary
+  const writeResult = console.log.bind(console);
+  if (values.json) {
+    console.log = console.error.bind(console);
+  }
+
+  try {
+    const options = normalizeOptions(commandName, values);
+
+    const envResult = dotenv.config({ path: values['env-file'] || '.env' });
+    if (values['env-file'] && envResult.error) {
+      throw new UsageError(`Could not read --env-file ${values['env-file']}: ${envResult.error.message}`);
+    }
+
+    const result = await COMMANDS[commandName].run({ options, positionals: commandArgs });
+
+    if (values.json) {
+      writeResult(JSON.stringify({ command: commandName, ...result }, null, 2));
+    }
+
+    return result && result.errors > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n`);
+      printHelp(commandName);
+      return EXIT_CODES.USAGE;
+    }
+
+    console.error(`\n❌ ${commandName} failed:`, error.message);
+    console.error(error.stack);
+
+    if (values.json) {
+      writeResult(JSON.stringify({ command: commandName, failed: true, error: error.message }, null, 2));
+    }
+
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+main().then(exitCode => {
+  process.exitCode = exitCode;
+});
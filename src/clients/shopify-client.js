@@ -1,199 +1,326 @@
-import fetch from 'node-fetch';
+import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { FormData, Blob } from 'node-fetch';
+import { CostRateLimiter } from '../utils/rate-limiter.js';
+import { RetryPolicy } from '../utils/retry-policy.js';
+
+// Field each metaobject type is keyed by when cached (defaults to yotpo_id)
+const CACHE_KEY_FIELDS = {
+  yotpo_review_statistics: 'product_sku',
+};
+
+// Throttled requests are retried (after waiting for the bucket to refill) this many times
+const MAX_THROTTLE_RETRIES = 10;
+
+// Bulk operations: how often to poll for completion, and when to give up
+const BULK_POLL_INTERVAL_MS = 2000;
+const BULK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Metaobject fields returned by writes, matching what the metaobject cache holds
+const METAOBJECT_SELECTION = `
+  id
+  handle
+  type
+  updatedAt
+  fields {
+    key
+    value
+  }
+  capabilities {
+    publishable {
+      status
+    }
+  }
+`;
+
+const USER_ERRORS_SELECTION = `
+  userErrors {
+    field
+    message
+    code
+  }
+`;
 
 export class ShopifyClient {
-  constructor(shopUrl, accessToken, apiVersion = '2025-07') {
+  /**
+   * @param {object} options - { retry }: RetryPolicy options (maxAttempts, baseDelayMs, maxDelayMs, timeoutMs)
+   */
+  constructor(shopUrl, accessToken, apiVersion = '2025-07', { retry = {} } = {}) {
     this.shopUrl = shopUrl;
     this.accessToken = accessToken;
     this.apiVersion = apiVersion;
     this.graphqlUrl = `https://${shopUrl}/admin/api/${apiVersion}/graphql.json`;
+    this.useBulkOperations = false;
+    this.rateLimiter = new CostRateLimiter();
+    this.retryPolicy = new RetryPolicy(retry);
+    this.throttledRequests = 0;
   }
 
-  async graphqlRequest(query, variables = {}) {
-    const response = await fetch(this.graphqlUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': this.accessToken,
-      },
-      body: JSON.stringify({
-        query,
-        variables,
-      }),
-    });
+  /**
+   * Creates a client from SHOPIFY_* environment variables
+   * (SHOPIFY_RETRY_ATTEMPTS and SHOPIFY_TIMEOUT_MS are optional)
+   * @param {object} options - { bulk }; bulk reads metaobjects and products with the
+   *   Bulk Operations API (also enabled by SHOPIFY_BULK_OPERATIONS=true)
+   */
+  static fromEnv(env = process.env, { bulk = false } = {}) {
+    const client = new ShopifyClient(
+      env.SHOPIFY_SHOP_URL,
+      env.SHOPIFY_ACCESS_TOKEN,
+      env.SHOPIFY_API_VERSION || '2025-07',
+      { retry: RetryPolicy.optionsFromEnv(env, 'SHOPIFY') }
+    );
+
+    client.useBulkOperations = bulk || env.SHOPIFY_BULK_OPERATIONS === 'true';
+    return client;
+  }
 
-    if (!response.ok) {
-      throw new Error(`Shopify API request failed: ${response.statusText}`);
-    }
+  /**
+   * Sends a GraphQL request, pacing it by Shopify's query cost limit and
+   * retrying it when Shopify throttles it anyway
+   * @param {object} options - { idempotent }: false for mutations that create something
+   *   on every call, so failures that may have been processed aren't retried
+   */
+  async graphqlRequest(query, variables = {}, { idempotent = true } = {}) {
+    const operation = getOperationName(query);
+
+    for (let attempt = 0; ; attempt++) {
+      const reservation = await this.rateLimiter.acquire(operation);
+      let data = null;
+
+      try {
+        const response = await this.retryPolicy.fetch(this.graphqlUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': this.accessToken,
+          },
+          body: JSON.stringify({
+            query,
+            variables,
+          }),
+        }, `Shopify ${operation}`, { idempotent });
+
+        if (!response.ok) {
+          throw new Error(`Shopify API request failed: ${response.statusText}`);
+        }
 
-    const data = await response.json();
+        data = await response.json();
+      } finally {
+        // Failed requests keep their reservation deducted; the bucket refills it over time
+        this.rateLimiter.record(operation, data?.extensions?.cost, reservation);
+      }
 
-    if (data.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
-    }
+      if (data.errors) {
+        const throttled = data.errors.some(error => error.extensions?.code === 'THROTTLED');
+
+        if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+          this.throttledRequests++;
+          const delay = this.rateLimiter.getDelay(operation);
+          console.log(`  ⏳ Shopify throttled ${operation}, retrying in ${(delay / 1000).toFixed(1)}s`);
+          continue;
+        }
+
+        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+      }
 
-    return data.data;
+      return data.data;
+    }
   }
 
-  async createMetaobject(type, fields) {
+  /**
+   * Runs a query with the Bulk Operations API and streams the result
+   * @param {string} query - Bulk query (connections without first/after arguments)
+   * @yields {object} - One object per JSONL line; rows of nested connections carry __parentId
+   */
+  async *runBulkQuery(query) {
     const mutation = `
-      mutation CreateMetaobject($metaobject: MetaobjectCreateInput!) {
-        metaobjectCreate(metaobject: $metaobject) {
-          metaobject {
+      mutation RunBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
             id
-            handle
-            type
-            fields {
-              key
-              value
-            }
+            status
           }
           userErrors {
             field
             message
-            code
           }
         }
       }
     `;
 
-    const variables = {
-      metaobject: {
-        type,
-        capabilities: {
-          publishable: {
-            status: 'ACTIVE'
-          }
-        },
-        fields,
-      },
-    };
+    const result = await this.graphqlRequest(mutation, { query });
+    const { bulkOperation, userErrors } = result.bulkOperationRunQuery;
+
+    if (userErrors.length > 0) {
+      throw new Error(`Bulk operation could not start: ${userErrors.map(err => err.message).join('; ')}`);
+    }
+
+    const operation = await this.waitForBulkOperation(bulkOperation.id);
+
+    // No URL means the query matched nothing
+    if (!operation.url) {
+      return;
+    }
+
+    const response = await this.retryPolicy.fetch(operation.url, {}, 'Bulk operation download');
+    if (!response.ok) {
+      throw new Error(`Failed to download bulk operation result: ${response.statusText}`);
+    }
 
-    const result = await this.graphqlRequest(mutation, variables);
-    return result.metaobjectCreate;
+    // Parse line by line so large exports never sit in memory as one string
+    const lines = createInterface({ input: response.body, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line) {
+        yield JSON.parse(line);
+      }
+    }
   }
 
-  async updateMetaobject(metaobjectId, fields) {
-    const mutation = `
-      mutation UpdateMetaobject($id: ID!, $metaobject: MetaobjectUpdateInput!) {
-        metaobjectUpdate(id: $id, metaobject: $metaobject) {
-          metaobject {
+  /**
+   * Polls a bulk operation until it completes
+   * @returns {object} - { id, status, errorCode, objectCount, url }
+   */
+  async waitForBulkOperation(id) {
+    const query = `
+      query BulkOperationStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
             id
-            handle
-            fields {
-              key
-              value
-            }
-          }
-          userErrors {
-            field
-            message
-            code
+            status
+            errorCode
+            objectCount
+            url
           }
         }
       }
     `;
 
-    const variables = {
-      id: metaobjectId,
-      metaobject: {
-        fields,
-      },
-    };
+    const startedAt = Date.now();
 
-    const result = await this.graphqlRequest(mutation, variables);
-    return result.metaobjectUpdate;
-  }
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
 
-  async buildMetaobjectCache(type) {
-    // Build a cache of all existing metaobjects for fast lookups
-    if (!this._metaobjectCache) {
-      this._metaobjectCache = {};
-    }
+      const { node: operation } = await this.graphqlRequest(query, { id });
 
-    if (this._metaobjectCache[type]) {
-      return; // Already cached
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        const reason = operation.errorCode ? ` (${operation.errorCode})` : '';
+        throw new Error(`Bulk operation ${id} ${operation.status.toLowerCase()}${reason}`);
+      }
+
+      if (Date.now() - startedAt > BULK_TIMEOUT_MS) {
+        throw new Error(`Bulk operation ${id} did not finish within ${BULK_TIMEOUT_MS / 60000} minutes`);
+      }
+
+      console.log(`  Bulk operation ${operation.status.toLowerCase()}: ${operation.objectCount} objects so far`);
     }
+  }
 
-    console.log(`  Building cache for ${type} metaobjects...`);
+  /**
+   * Sends several metaobject writes in one GraphQL request, as aliased mutations
+   * (metaobjectUpsert by handle, or metaobjectDelete by ID)
+   * @param {Array} writes - { operation: 'upsert', type, handle, fields, capabilities }
+   *   or { operation: 'delete', id }
+   * @returns {Array} - The mutation payload ({ metaobject } or { deletedId }, plus userErrors)
+   *   for each write, in the same order
+   */
+  async writeMetaobjects(writes) {
+    const declarations = [];
+    const selections = [];
+    const variables = {};
+
+    writes.forEach((write, i) => {
+      if (write.operation === 'delete') {
+        declarations.push(`$id${i}: ID!`);
+        selections.push(`write${i}: metaobjectDelete(id: $id${i}) { deletedId ${USER_ERRORS_SELECTION} }`);
+        variables[`id${i}`] = write.id;
+        return;
+      }
 
-    const query = `
-      query FindMetaobjects($type: String!, $first: Int!, $after: String) {
-        metaobjects(type: $type, first: $first, after: $after) {
-          edges {
-            node {
-              id
-              handle
-              fields {
-                key
-                value
-              }
-            }
-          }
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-        }
+      declarations.push(`$handle${i}: MetaobjectHandleInput!`, `$metaobject${i}: MetaobjectUpsertInput!`);
+      selections.push(
+        `write${i}: metaobjectUpsert(handle: $handle${i}, metaobject: $metaobject${i}) {
+          metaobject { ${METAOBJECT_SELECTION} }
+          ${USER_ERRORS_SELECTION}
+        }`
+      );
+      variables[`handle${i}`] = { type: write.type, handle: write.handle };
+      variables[`metaobject${i}`] = { fields: write.fields };
+
+      // e.g. { publishable: { status: 'DRAFT' } } to unpublish
+      if (write.capabilities) {
+        variables[`metaobject${i}`].capabilities = write.capabilities;
+      }
+    });
+
+    const mutation = `
+      mutation WriteMetaobjects(${declarations.join(', ')}) {
+        ${selections.join('\n')}
       }
     `;
 
-    const cache = new Map();
-    let hasNextPage = true;
-    let cursor = null;
-    const batchSize = 250;
-    let totalFetched = 0;
+    const data = await this.graphqlRequest(mutation, variables);
+    return writes.map((write, i) => data[`write${i}`]);
+  }
 
-    while (hasNextPage) {
-      const variables = {
-        type,
-        first: batchSize,
-        after: cursor,
-      };
+  /**
+   * Handle for a metaobject the sync creates, derived from its key so repeating
+   * a create (retry, resumed run) updates the same metaobject instead of duplicating it
+   */
+  static getHandle(type, key) {
+    const text = key.toString();
+    const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100);
 
-      const data = await this.graphqlRequest(query, variables);
-      const metaobjects = data.metaobjects.edges.map(edge => edge.node);
+    // Keys that are not already a clean slug (e.g. SKUs) get a hash so "A/B" and "a-b" stay distinct
+    const suffix = slug === text ? '' : `-${createHash('md5').update(text).digest('hex').slice(0, 8)}`;
 
-      // Index by yotpo_id for fast lookup
-      metaobjects.forEach(obj => {
-        const idField = obj.fields.find(f => f.key === 'yotpo_id');
-        if (idField) {
-          cache.set(idField.value, obj);
-        }
-      });
+    return `${type.replace(/_/g, '-')}-${slug}${suffix}`;
+  }
 
-      totalFetched += metaobjects.length;
-      hasNextPage = data.metaobjects.pageInfo.hasNextPage;
-      cursor = data.metaobjects.pageInfo.endCursor;
+  /**
+   * Field a metaobject type is keyed by in the cache (yotpo_id, or product_sku for statistics)
+   */
+  static getKeyField(type) {
+    return CACHE_KEY_FIELDS[type] || 'yotpo_id';
+  }
 
-      // Small delay to avoid rate limiting
-      if (hasNextPage) {
-        await new Promise(resolve => setTimeout(resolve, 300));
-      }
+  async fetchAllMetaobjects(type) {
+    // Every metaobject of a type, duplicates included
+    const allMetaobjects = [];
+
+    for await (const metaobject of this.iterateMetaobjects(type)) {
+      allMetaobjects.push(metaobject);
     }
 
-    this._metaobjectCache[type] = cache;
-    console.log(`  ✓ Cached ${totalFetched} existing ${type} metaobjects\n`);
+    return allMetaobjects;
   }
 
-  async findMetaobjectByYotpoId(type, yotpoId) {
-    // Use cache if available
-    if (this._metaobjectCache && this._metaobjectCache[type]) {
-      return this._metaobjectCache[type].get(yotpoId.toString()) || null;
+  /**
+   * Yields every metaobject of a type, from a bulk export when useBulkOperations
+   * is set and page by page otherwise
+   */
+  async *iterateMetaobjects(type) {
+    if (this.useBulkOperations) {
+      yield* this.runBulkQuery(`
+        {
+          metaobjects(type: ${JSON.stringify(type)}) {
+            edges {
+              node { ${METAOBJECT_SELECTION} }
+            }
+          }
+        }
+      `);
+      return;
     }
 
-    // Fallback to old method if cache not built (shouldn't happen in normal flow)
     const query = `
-      query FindMetaobjectByYotpoId($type: String!, $first: Int!) {
-        metaobjects(type: $type, first: $first) {
+      query FindMetaobjects($type: String!, $first: Int!, $after: String) {
+        metaobjects(type: $type, first: $first, after: $after) {
           edges {
-            node {
-              id
-              handle
-              fields {
-                key
-                value
-              }
-            }
+            node { ${METAOBJECT_SELECTION} }
           }
           pageInfo {
             hasNextPage
@@ -215,26 +342,56 @@ export class ShopifyClient {
       };
 
       const data = await this.graphqlRequest(query, variables);
-      const metaobjects = data.metaobjects.edges.map(edge => edge.node);
-
-      const match = metaobjects.find(obj => {
-        const idField = obj.fields.find(f => f.key === 'yotpo_id');
-        return idField && idField.value === yotpoId.toString();
-      });
-
-      if (match) {
-        return match;
-      }
+      yield* data.metaobjects.edges.map(edge => edge.node);
 
       hasNextPage = data.metaobjects.pageInfo.hasNextPage;
       cursor = data.metaobjects.pageInfo.endCursor;
+    }
+  }
 
-      if (!hasNextPage) {
-        break;
+  async buildMetaobjectCache(type) {
+    // Build a cache of all existing metaobjects for fast lookups
+    if (!this._metaobjectCache) {
+      this._metaobjectCache = {};
+    }
+
+    if (this._metaobjectCache[type]) {
+      return; // Already cached
+    }
+
+    console.log(`  Building cache for ${type} metaobjects${this.useBulkOperations ? ' (bulk operation)' : ''}...`);
+
+    const cache = new Map();
+    const keyField = ShopifyClient.getKeyField(type);
+    let total = 0;
+
+    // Index by yotpo_id (or product_sku for statistics) for fast lookup.
+    // If duplicates exist, the most recently updated one wins (see `prune`).
+    for await (const obj of this.iterateMetaobjects(type)) {
+      total++;
+
+      const idField = obj.fields.find(f => f.key === keyField);
+      if (!idField) {
+        continue;
+      }
+
+      const current = cache.get(idField.value);
+      if (!current || obj.updatedAt >= current.updatedAt) {
+        cache.set(idField.value, obj);
       }
     }
 
-    return null;
+    this._metaobjectCache[type] = cache;
+    console.log(`  ✓ Cached ${total} existing ${type} metaobjects\n`);
+  }
+
+  getCachedMetaobject(type, key) {
+    // Synchronous lookup; requires buildMetaobjectCache(type) first
+    if (!this._metaobjectCache || !this._metaobjectCache[type]) {
+      throw new Error(`Metaobject cache for ${type} has not been built`);
+    }
+
+    return this._metaobjectCache[type].get(key.toString()) || null;
   }
 
   updateMetaobjectCache(type, yotpoId, metaobject) {
@@ -244,37 +401,20 @@ export class ShopifyClient {
     }
   }
 
-  async upsertMetaobject(type, yotpoId, fields) {
-    // Try to find existing metaobject
-    const existing = await this.findMetaobjectByYotpoId(type, yotpoId);
-
-    if (existing) {
-      // Update existing
-      const result = await this.updateMetaobject(existing.id, fields);
-
-      // Update cache
-      if (result.metaobject) {
-        this.updateMetaobjectCache(type, yotpoId, result.metaobject);
-      }
-
-      return {
-        result,
-        operation: 'updated',
-      };
-    } else {
-      // Create new
-      const result = await this.createMetaobject(type, fields);
-
-      // Update cache
-      if (result.metaobject) {
-        this.updateMetaobjectCache(type, yotpoId, result.metaobject);
-      }
+  removeFromMetaobjectCache(type, yotpoId) {
+    // Update cache after delete operations
+    if (this._metaobjectCache && this._metaobjectCache[type]) {
+      this._metaobjectCache[type].delete(yotpoId.toString());
+    }
+  }
 
-      return {
-        result,
-        operation: 'created',
-      };
+  getCachedMetaobjects(type) {
+    // All cached metaobjects of a type, as [key, metaobject] pairs
+    if (!this._metaobjectCache || !this._metaobjectCache[type]) {
+      throw new Error(`Metaobject cache for ${type} has not been built`);
     }
+
+    return [...this._metaobjectCache[type].entries()];
   }
 
   async getMetaobjectStats(type) {
@@ -299,67 +439,446 @@ export class ShopifyClient {
     };
   }
 
-  async getStatisticsMetaobjectBySku(sku) {
+  async getMetaobjectDefinition(type) {
     const query = `
-      query FindStatisticsBySku($type: String!, $first: Int!) {
-        metaobjects(type: $type, first: $first) {
-          edges {
-            node {
-              id
-              handle
-              fields {
-                key
-                value
-              }
+      query GetMetaobjectDefinition($type: String!) {
+        metaobjectDefinitionByType(type: $type) {
+          id
+          name
+          type
+          description
+          access {
+            storefront
+          }
+          fieldDefinitions {
+            key
+            name
+            description
+            required
+            type {
+              name
+            }
+            validations {
+              name
+              value
             }
           }
-          pageInfo {
-            hasNextPage
-            endCursor
+        }
+      }
+    `;
+
+    const data = await this.graphqlRequest(query, { type });
+    return data.metaobjectDefinitionByType;
+  }
+
+  /**
+   * @returns {object} - { metaobjectDefinition, userErrors }
+   */
+  async createMetaobjectDefinition(definition) {
+    const mutation = `
+      mutation CreateMetaobjectDefinition($definition: MetaobjectDefinitionCreateInput!) {
+        metaobjectDefinitionCreate(definition: $definition) {
+          metaobjectDefinition {
+            id
+            type
+            fieldDefinitions {
+              key
+            }
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { definition });
+    return result.metaobjectDefinitionCreate;
+  }
+
+  /**
+   * @param {string} id - Definition GID
+   * @param {object} definition - MetaobjectDefinitionUpdateInput; fieldDefinitions holds
+   *   { create }, { update } or { delete } operations
+   * @returns {object} - { metaobjectDefinition, userErrors }
+   */
+  async updateMetaobjectDefinition(id, definition) {
+    const mutation = `
+      mutation UpdateMetaobjectDefinition($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+        metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+          metaobjectDefinition {
+            id
+            type
+            fieldDefinitions {
+              key
+            }
           }
+          ${USER_ERRORS_SELECTION}
         }
       }
     `;
 
+    const result = await this.graphqlRequest(mutation, { id, definition });
+    return result.metaobjectDefinitionUpdate;
+  }
+
+  /**
+   * @param {string} ownerType - MetafieldOwnerType, e.g. PRODUCT
+   * @returns {object|null} - { id, name, namespace, key, type: { name }, validations, access: { storefront } }, or null
+   */
+  async getMetafieldDefinition(ownerType, namespace, key) {
+    const query = `
+      query GetMetafieldDefinition($ownerType: MetafieldOwnerType!, $namespace: String!, $key: String!) {
+        metafieldDefinitions(ownerType: $ownerType, namespace: $namespace, key: $key, first: 1) {
+          nodes {
+            id
+            name
+            namespace
+            key
+            type {
+              name
+            }
+            validations {
+              name
+              value
+            }
+            access {
+              storefront
+            }
+          }
+        }
+      }
+    `;
+
+    const data = await this.graphqlRequest(query, { ownerType, namespace, key });
+    return data.metafieldDefinitions.nodes[0] || null;
+  }
+
+  /**
+   * @param {object} definition - MetafieldDefinitionInput
+   * @returns {object} - { createdDefinition, userErrors }
+   */
+  async createMetafieldDefinition(definition) {
+    const mutation = `
+      mutation CreateMetafieldDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { definition });
+    return result.metafieldDefinitionCreate;
+  }
+
+  /**
+   * @param {object} definition - MetafieldDefinitionUpdateInput, identified by ownerType, namespace and key
+   * @returns {object} - { updatedDefinition, userErrors }
+   */
+  async updateMetafieldDefinition(definition) {
+    const mutation = `
+      mutation UpdateMetafieldDefinition($definition: MetafieldDefinitionUpdateInput!) {
+        metafieldDefinitionUpdate(definition: $definition) {
+          updatedDefinition {
+            id
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { definition });
+    return result.metafieldDefinitionUpdate;
+  }
+
+  /**
+   * Enables one of Shopify's standard metafield definitions (e.g. reviews.rating)
+   * @param {object} access - StandardMetafieldDefinitionAccessInput, e.g. { storefront: 'PUBLIC_READ' }
+   * @returns {object} - { createdDefinition, userErrors }
+   */
+  async enableStandardMetafieldDefinition(ownerType, namespace, key, access = null) {
+    const mutation = `
+      mutation EnableStandardMetafieldDefinition($ownerType: MetafieldOwnerType!, $namespace: String!, $key: String!, $access: StandardMetafieldDefinitionAccessInput) {
+        standardMetafieldDefinitionEnable(ownerType: $ownerType, namespace: $namespace, key: $key, access: $access) {
+          createdDefinition {
+            id
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { ownerType, namespace, key, access });
+    return result.standardMetafieldDefinitionEnable;
+  }
+
+  /**
+   * Products that have a value for a product metafield definition
+   * @returns {Array<string>} - Product GIDs (none when the definition doesn't exist)
+   */
+  async getMetafieldProductIds(namespace, key) {
+    const query = `
+      query GetMetafieldOwners($namespace: String!, $key: String!, $first: Int!, $after: String) {
+        metafieldDefinitions(ownerType: PRODUCT, namespace: $namespace, key: $key, first: 1) {
+          nodes {
+            metafields(first: $first, after: $after) {
+              nodes {
+                owner {
+                  ... on Product {
+                    id
+                  }
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const productIds = [];
     let hasNextPage = true;
     let cursor = null;
-    const batchSize = 250;
 
     while (hasNextPage) {
-      const variables = {
-        type: 'yotpo_review_statistics',
-        first: batchSize,
-        after: cursor,
-      };
+      const data = await this.graphqlRequest(query, { namespace, key, first: 250, after: cursor });
+      const definition = data.metafieldDefinitions.nodes[0];
 
-      const data = await this.graphqlRequest(query, variables);
-      const metaobjects = data.metaobjects.edges.map(edge => edge.node);
+      if (!definition) {
+        break;
+      }
+
+      productIds.push(...definition.metafields.nodes.map(metafield => metafield.owner?.id).filter(Boolean));
+      hasNextPage = definition.metafields.pageInfo.hasNextPage;
+      cursor = definition.metafields.pageInfo.endCursor;
+    }
+
+    return productIds;
+  }
+
+  /**
+   * Reads some metafields of many products at once
+   * @param {Array} productIds - Product GIDs (at most 100)
+   * @param {Array} metafields - [{ namespace, key }]
+   * @returns {Map} - Product GID → { 'namespace.key': value or null }
+   */
+  async getProductMetafields(productIds, metafields) {
+    const selections = metafields.map(({ namespace, key }, i) =>
+      `m${i}: metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { value }`
+    );
+
+    const query = `
+      query GetProductMetafields($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            ${selections.join('\n            ')}
+          }
+        }
+      }
+    `;
 
-      const match = metaobjects.find(obj => {
-        const skuField = obj.fields.find(f => f.key === 'product_sku');
-        return skuField && skuField.value === sku;
+    const data = await this.graphqlRequest(query, { ids: productIds });
+    const values = new Map();
+
+    data.nodes.filter(Boolean).forEach(node => {
+      const productValues = {};
+      metafields.forEach(({ namespace, key }, i) => {
+        productValues[`${namespace}.${key}`] = node[`m${i}`] ? node[`m${i}`].value : null;
       });
+      values.set(node.id, productValues);
+    });
 
-      if (match) {
-        return match;
+    return values;
+  }
+
+  /**
+   * Sets up to 25 metafields in one request
+   * @param {Array} metafields - MetafieldsSetInput
+   * @returns {object} - { metafields, userErrors }
+   */
+  async setMetafields(metafields) {
+    const mutation = `
+      mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields {
+            id
+          }
+          ${USER_ERRORS_SELECTION}
+        }
       }
+    `;
 
-      hasNextPage = data.metaobjects.pageInfo.hasNextPage;
-      cursor = data.metaobjects.pageInfo.endCursor;
+    const result = await this.graphqlRequest(mutation, { metafields });
+    return result.metafieldsSet;
+  }
 
-      if (!hasNextPage) {
-        break;
+  /**
+   * @param {Array} metafields - [{ ownerId, namespace, key }]
+   * @returns {object} - { deletedMetafields, userErrors }
+   */
+  async deleteMetafields(metafields) {
+    const mutation = `
+      mutation DeleteMetafields($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields {
+            key
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { metafields });
+    return result.metafieldsDelete;
+  }
+
+  /**
+   * Reads a metafield of the shop itself
+   * @returns {string|null} - Its value, or null when it isn't set
+   */
+  async getShopMetafield(namespace, key) {
+    const query = `
+      query GetShopMetafield($namespace: String!, $key: String!) {
+        shop {
+          metafield(namespace: $namespace, key: $key) {
+            value
+          }
+        }
+      }
+    `;
+
+    const data = await this.graphqlRequest(query, { namespace, key });
+    return data.shop.metafield ? data.shop.metafield.value : null;
+  }
+
+  async setShopMetafield(namespace, key, type, value) {
+    const { shop } = await this.graphqlRequest(`
+      query GetShopId {
+        shop {
+          id
+        }
       }
+    `);
+
+    const result = await this.setMetafields([{ ownerId: shop.id, namespace, key, type, value }]);
+
+    if (result.userErrors.length > 0) {
+      throw new Error(result.userErrors.map(error => error.message).join(', '));
+    }
+  }
+
+  /**
+   * Uploads a file to Shopify Files: reserves a staged upload target, sends the
+   * bytes there, then creates the file from it
+   * @param {object} file - { data (Buffer), filename, mimeType, contentType (IMAGE or VIDEO), alt }
+   * @returns {string} - GID of the created file (usable before Shopify finishes processing it)
+   */
+  async uploadFile({ data, filename, mimeType, contentType, alt = '' }) {
+    const target = await this.createStagedUpload({
+      resource: contentType,
+      filename,
+      mimeType,
+      fileSize: data.length.toString(),
+      httpMethod: 'POST',
+    });
+
+    await this.sendToStagedTarget(target, data, filename, mimeType);
+
+    const mutation = `
+      mutation CreateFile($files: [FileCreateInput!]!) {
+        fileCreate(files: $files) {
+          files {
+            id
+            fileStatus
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    // A retried fileCreate could create the file twice
+    const result = await this.graphqlRequest(mutation, {
+      files: [{ originalSource: target.resourceUrl, contentType, alt }],
+    }, { idempotent: false });
+
+    if (result.fileCreate.userErrors.length > 0) {
+      throw new Error(result.fileCreate.userErrors.map(error => error.message).join(', '));
+    }
+
+    return result.fileCreate.files[0].id;
+  }
+
+  /**
+   * @param {object} input - StagedUploadInput
+   * @returns {object} - { url, resourceUrl, parameters }
+   */
+  async createStagedUpload(input) {
+    const mutation = `
+      mutation CreateStagedUpload($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          ${USER_ERRORS_SELECTION}
+        }
+      }
+    `;
+
+    const result = await this.graphqlRequest(mutation, { input: [input] }, { idempotent: false });
+
+    if (result.stagedUploadsCreate.userErrors.length > 0) {
+      throw new Error(result.stagedUploadsCreate.userErrors.map(error => error.message).join(', '));
     }
 
-    return null;
+    return result.stagedUploadsCreate.stagedTargets[0];
   }
 
-  async createStatisticsMetaobject(fields) {
-    return this.createMetaobject('yotpo_review_statistics', fields);
+  /**
+   * POSTs the file to a staged upload target as a multipart form; the target's
+   * parameters must come before the file
+   */
+  async sendToStagedTarget(target, data, filename, mimeType) {
+    const form = new FormData();
+    target.parameters.forEach(({ name, value }) => form.append(name, value));
+    form.append('file', new Blob([data], { type: mimeType }), filename);
+
+    const response = await this.retryPolicy.fetch(target.url, { method: 'POST', body: form }, 'Staged upload');
+
+    if (!response.ok) {
+      throw new Error(`Staged upload failed: ${response.status} ${response.statusText}`);
+    }
   }
 
-  async updateStatisticsMetaobject(metaobjectId, fields) {
-    return this.updateMetaobject(metaobjectId, fields);
+  async getShop() {
+    const query = `
+      query GetShop {
+        shop {
+          name
+          myshopifyDomain
+        }
+      }
+    `;
+
+    const data = await this.graphqlRequest(query);
+    return data.shop;
   }
 }
+
+/**
+ * Operation name of a query ("mutation WriteMetaobjects(...)" → "WriteMetaobjects"),
+ * used to remember what each kind of request costs
+ */
+function getOperationName(query) {
+  const match = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  return match ? match[1] : 'anonymous';
+}
@@ -1,15 +1,29 @@
-import fetch from 'node-fetch';
+import { RetryPolicy } from '../utils/retry-policy.js';
 
 export class YotpoClient {
-  constructor(appKey, appSecret) {
+  /**
+   * @param {object} options - { retry }: RetryPolicy options (maxAttempts, baseDelayMs, maxDelayMs, timeoutMs)
+   */
+  constructor(appKey, appSecret, { retry = {} } = {}) {
     this.appKey = appKey;
     this.appSecret = appSecret;
     this.baseUrl = 'https://api.yotpo.com';
     this.token = null;
+    this.retryPolicy = new RetryPolicy(retry);
+  }
+
+  /**
+   * Creates a client from YOTPO_* environment variables
+   * (YOTPO_RETRY_ATTEMPTS and YOTPO_TIMEOUT_MS are optional)
+   */
+  static fromEnv(env = process.env) {
+    return new YotpoClient(env.YOTPO_APP_KEY, env.YOTPO_APP_SECRET, {
+      retry: RetryPolicy.optionsFromEnv(env, 'YOTPO'),
+    });
   }
 
   async authenticate() {
-    const response = await fetch(`${this.baseUrl}/oauth/token`, {
+    const response = await this.retryPolicy.fetch(`${this.baseUrl}/oauth/token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -19,7 +33,7 @@ export class YotpoClient {
         client_secret: this.appSecret,
         grant_type: 'client_credentials',
       }),
-    });
+    }, 'Yotpo authentication');
 
     if (!response.ok) {
       throw new Error(`Yotpo authentication failed: ${response.statusText}`);
@@ -30,50 +44,151 @@ export class YotpoClient {
     return this.token;
   }
 
-  async getAllReviews(page = 1, perPage = 100) {
+  /**
+   * GETs an endpoint under /v1/apps/:app_key with the token; an expired token is
+   * renewed once, a second 401 means the credentials are wrong
+   * @param {string} path - Path after the app key, e.g. 'reviews'
+   * @param {object} params - Query parameters (utoken is added)
+   * @param {string} label - Name of the request in retry logs
+   */
+  async getAppResource(path, params, label) {
     if (!this.token) {
       await this.authenticate();
     }
 
-    const response = await fetch(
-      `${this.baseUrl}/v1/apps/${this.appKey}/reviews?utoken=${this.token}&page=${page}&count=${perPage}`,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
+    for (let attempt = 1; ; attempt++) {
+      const query = new URLSearchParams({ utoken: this.token, ...params });
+
+      const response = await this.retryPolicy.fetch(
+        `${this.baseUrl}/v1/apps/${this.appKey}/${path}?${query}`,
+        {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+          },
         },
+        label
+      );
+
+      if (response.status === 401 && attempt === 1) {
+        await this.authenticate();
+        continue;
       }
-    );
 
-    if (response.status === 401) {
-      // Token expired, re-authenticate and retry
-      await this.authenticate();
-      return this.getAllReviews(page, perPage);
+      return response;
+    }
+  }
+
+  /**
+   * Fetches one page of reviews
+   * @param {number} page - 1-based page number
+   * @param {number} perPage - Reviews per page (max 100)
+   * @param {object} filters - { sinceUpdatedAt } to only return reviews created/updated
+   *   since that Date (deleted reviews are included so deletions can propagate)
+   */
+  async getAllReviews(page = 1, perPage = 100, filters = {}) {
+    const params = {
+      page: page.toString(),
+      count: perPage.toString(),
+    };
+
+    if (filters.sinceUpdatedAt) {
+      params.since_updated_at = filters.sinceUpdatedAt.toISOString();
+      params.deleted = 'true';
     }
 
+    const response = await this.getAppResource('reviews', params, `Yotpo reviews page ${page}`);
+
     if (!response.ok) {
       throw new Error(`Failed to fetch reviews: ${response.statusText}`);
     }
 
-    const data = await response.json();
-    return data;
+    return response.json();
   }
 
-  async fetchAllReviewsPaginated() {
-    const allReviews = [];
+  /**
+   * Fetches one page of product questions, each with its public answers
+   * @param {number} page - 1-based page number
+   * @param {number} perPage - Questions per page (max 100)
+   */
+  async getAllQuestions(page = 1, perPage = 100) {
+    const params = {
+      page: page.toString(),
+      count: perPage.toString(),
+    };
+
+    const response = await this.getAppResource('questions', params, `Yotpo questions page ${page}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch questions: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetches every page of product questions
+   */
+  async fetchAllQuestionsPaginated() {
+    const allQuestions = [];
     let page = 1;
     let hasMore = true;
 
-    console.log('Fetching all reviews from Yotpo...');
+    console.log('Fetching all questions from Yotpo...');
+
+    while (hasMore) {
+      const data = await this.getAllQuestions(page, 100);
+      const questions = data.questions || data.response?.questions;
+
+      if (Array.isArray(questions)) {
+        allQuestions.push(...questions);
+        console.log(`Fetched page ${page}: ${questions.length} questions`);
+
+        // Like reviews, a full page means there may be more
+        hasMore = questions.length === 100;
+        page++;
+      } else {
+        hasMore = false;
+      }
+    }
+
+    console.log(`Total questions fetched: ${allQuestions.length}`);
+    return allQuestions;
+  }
+
+  /**
+   * Fetches every page of reviews
+   * @param {object} filters - Passed to getAllReviews, e.g. { sinceUpdatedAt }
+   * @param {object} options - { startPage, onPage }; onPage(page, reviews) is awaited after
+   *   every page, e.g. to checkpoint progress
+   */
+  async fetchAllReviewsPaginated(filters = {}, { startPage = 1, onPage = null } = {}) {
+    const allReviews = [];
+    let page = startPage;
+    let hasMore = true;
+
+    if (filters.sinceUpdatedAt) {
+      console.log(`Fetching reviews updated since ${filters.sinceUpdatedAt.toISOString()} from Yotpo...`);
+    } else {
+      console.log('Fetching all reviews from Yotpo...');
+    }
+
+    if (startPage > 1) {
+      console.log(`Resuming at page ${startPage}`);
+    }
 
     while (hasMore) {
-      const data = await this.getAllReviews(page, 100);
+      const data = await this.getAllReviews(page, 100, filters);
 
       // The API returns reviews directly in data.reviews (not data.response.reviews)
       if (data.reviews && Array.isArray(data.reviews)) {
         allReviews.push(...data.reviews);
         console.log(`Fetched page ${page}: ${data.reviews.length} reviews`);
 
+        if (onPage) {
+          await onPage(page, data.reviews);
+        }
+
         // Check if there are more pages
         // Note: This endpoint doesn't return pagination info, so we check if we got a full page
         hasMore = data.reviews.length === 100;
@@ -0,0 +1,16 @@
+/**
+ * Custom question answers that get a field of their own on yotpo_product_review,
+ * e.g. to filter reviews by fit or skin type. Every answer is also kept in the
+ * custom_questions JSON field, mapped or not.
+ *
+ * - question: question title in Yotpo (matched ignoring case)
+ * - key / name: metaobject field key and display name
+ * - type: single_line_text_field, list.single_line_text_field (multiple choice),
+ *   number_integer (rating/scale questions) or boolean
+ *
+ * After changing this list, run `yotpo-sync setup reviews` to update the definition.
+ */
+export const CUSTOM_QUESTION_FIELDS = [
+  // { question: 'How did it fit?', key: 'fit', name: 'Fit', type: 'single_line_text_field' },
+  // { question: 'Skin type', key: 'skin_type', name: 'Skin Type', type: 'list.single_line_text_field' },
+];
@@ -0,0 +1,63 @@
+/**
+ * Product metafields the sync sets on every matched product, so themes can read reviews
+ * and statistics as product.metafields without the Admin API. Setup creates their
+ * definitions; reviews.* are Shopify's standard review metafields.
+ *
+ * - source: metaobject type the value is built from; `setup reviews` / `setup statistics`
+ *   and the commands that write that type handle the metafield
+ * - reference: metaobject type a reference metafield is validated against
+ */
+export const PRODUCT_METAFIELDS = [
+  {
+    namespace: 'reviews',
+    key: 'rating',
+    type: 'rating',
+    standard: true,
+    source: 'yotpo_review_statistics',
+  },
+  {
+    namespace: 'reviews',
+    key: 'rating_count',
+    type: 'number_integer',
+    standard: true,
+    source: 'yotpo_review_statistics',
+  },
+  {
+    namespace: 'yotpo',
+    key: 'review_statistics',
+    name: 'Review Statistics',
+    type: 'metaobject_reference',
+    description: 'Yotpo review statistics of the product',
+    source: 'yotpo_review_statistics',
+    reference: 'yotpo_review_statistics',
+  },
+  {
+    namespace: 'yotpo',
+    key: 'weighted_rating',
+    name: 'Weighted Rating',
+    type: 'number_decimal',
+    description: 'Yotpo rating weighted by review count, for sorting products by rating',
+    source: 'yotpo_review_statistics',
+  },
+  {
+    namespace: 'yotpo',
+    key: 'reviews',
+    name: 'Reviews',
+    type: 'list.metaobject_reference',
+    description: 'Published Yotpo reviews of the product',
+    source: 'yotpo_product_review',
+    reference: 'yotpo_product_review',
+  },
+];
+
+/**
+ * Which reviews yotpo.reviews points at: published, active product reviews, sorted by
+ * - newest: created date
+ * - highest_rated: rating, then newest
+ * - most_helpful: helpful votes, then newest
+ * and cut off after `limit` reviews.
+ */
+export const PRODUCT_REVIEWS_LIST = {
+  order: 'newest',
+  limit: 20,
+};
@@ -0,0 +1,142 @@
+/**
+ * Question metaobject definition created by `yotpo-sync setup questions`
+ */
+export const QUESTION_DEFINITION = {
+  type: 'yotpo_product_question',
+  name: 'Yotpo Product Question',
+  description: 'Customer questions about products and their public answers, synced from Yotpo',
+};
+
+/**
+ * Every question metaobject field, in definition order; same entry format as
+ * REVIEW_FIELDS in review-fields.js (bump SCHEMA_VERSION in schema.js when changing it).
+ * Sources point into { question (the Yotpo payload), status, sync, product, answers,
+ * topAnswer }, see transformYotpoQuestion.
+ */
+export const QUESTION_FIELDS = [
+  {
+    key: 'yotpo_id',
+    name: 'Yotpo ID',
+    type: 'single_line_text_field',
+    description: 'Unique identifier from Yotpo (for sync)',
+    required: true,
+    source: 'question.id',
+  },
+  {
+    key: 'question',
+    name: 'Question',
+    type: 'multi_line_text_field',
+    description: 'The question as asked',
+    required: true,
+    source: 'question.content',
+    transforms: ['decode'],
+  },
+  {
+    key: 'asker_name',
+    name: 'Asker Name',
+    type: 'single_line_text_field',
+    description: 'Customer who asked',
+    source: 'question.asker.display_name',
+    transforms: ['decode'],
+    default: 'Anonymous',
+  },
+
+  // Answers
+  {
+    key: 'answer',
+    name: 'Answer',
+    type: 'multi_line_text_field',
+    description: 'First public answer (the store\'s, when it answered)',
+    source: 'topAnswer.content',
+  },
+  {
+    key: 'answer_author',
+    name: 'Answer Author',
+    type: 'single_line_text_field',
+    description: 'Who wrote the first answer',
+    source: 'topAnswer.author',
+  },
+  {
+    key: 'answer_author_type',
+    name: 'Answer Author Type',
+    type: 'single_line_text_field',
+    description: 'store_owner, verified_buyer or customer',
+    validations: [
+      { name: 'choices', value: '["store_owner","verified_buyer","customer"]' },
+    ],
+    source: 'topAnswer.authorType',
+  },
+  {
+    key: 'answers',
+    name: 'Answers',
+    type: 'json',
+    description: 'Every public answer ([{ content, author, author_type, created_at, votes_up, votes_down }])',
+    source: 'answers',
+    transforms: ['json'],
+  },
+  {
+    key: 'answer_count',
+    name: 'Answer Count',
+    type: 'number_integer',
+    description: 'Number of public answers',
+    source: 'answers.length',
+  },
+
+  // Votes
+  {
+    key: 'votes_up',
+    name: 'Votes Up',
+    type: 'number_integer',
+    description: 'Customers who found the question helpful',
+    source: 'question.votes_up',
+  },
+  {
+    key: 'votes_down',
+    name: 'Votes Down',
+    type: 'number_integer',
+    description: 'Customers who did not find the question helpful',
+    source: 'question.votes_down',
+  },
+
+  // Product Association
+  {
+    key: 'product_sku',
+    name: 'Product SKU',
+    type: 'single_line_text_field',
+    description: 'Yotpo SKU for matching',
+    required: true,
+    source: 'product.sku',
+  },
+  {
+    key: 'product_reference',
+    name: 'Product Reference',
+    type: 'product_reference',
+    description: 'Linked Shopify product',
+    source: 'product.id',
+  },
+
+  // Metadata
+  {
+    key: 'created_date',
+    name: 'Created Date',
+    type: 'date',
+    description: 'When the question was asked',
+    source: 'question.created_at',
+    transforms: ['date'],
+  },
+  {
+    key: 'is_active',
+    name: 'Is Active',
+    type: 'boolean',
+    description: 'Question is active (not deleted)',
+    source: 'status.isActive',
+  },
+  {
+    key: 'synced_at',
+    name: 'Synced At',
+    type: 'date_time',
+    description: 'Last sync timestamp',
+    source: 'sync.now',
+    transforms: ['datetime'],
+  },
+];
@@ -0,0 +1,248 @@
+import { CUSTOM_QUESTION_FIELDS } from './custom-fields.js';
+
+/**
+ * Review metaobject definitions created by `yotpo-sync setup reviews`
+ */
+export const REVIEW_DEFINITIONS = [
+  {
+    type: 'yotpo_product_review',
+    name: 'Yotpo Product Review',
+    description: 'Customer reviews for specific products, synced from Yotpo',
+  },
+  {
+    type: 'yotpo_brand_review',
+    name: 'Yotpo Brand Review',
+    description: 'General brand/site reviews not tied to specific products, synced from Yotpo',
+  },
+];
+
+const PRODUCT_ONLY = ['yotpo_product_review'];
+
+/**
+ * Every review metaobject field, in definition order. Setup creates the definitions
+ * from this list and the transformer fills the fields from it, so adding a field
+ * only takes a new entry here (plus a SCHEMA_VERSION bump in schema.js, and
+ * `yotpo-sync setup` to migrate existing stores).
+ *
+ * - key, name, type, description, required, validations: the Shopify field definition
+ * - definitions: review types that have the field (default: all of REVIEW_DEFINITIONS)
+ * - private: personal data, left out while the definitions are readable from the
+ *   storefront (see STOREFRONT_ACCESS in storefront.js)
+ * - source: path of the value, as 'a.b' or ['a', 'b'], in
+ *   { review (the Yotpo payload), status, sync, product, reply, badges, media,
+ *   customQuestions, customAnswers (keyed by lowercase question title) }
+ * - transforms: applied in order; 'decode' (HTML entities), { truncate: n },
+ *   'date' (YYYY-MM-DD), 'datetime' (ISO 8601), 'json', 'answer' (custom question
+ *   answer → this field's type)
+ * - default: value when the source is empty; without one, the field is written
+ *   empty, so a value that was removed in Yotpo is cleared in Shopify too
+ */
+export const REVIEW_FIELDS = [
+  // Core Fields
+  {
+    key: 'yotpo_id',
+    name: 'Yotpo ID',
+    type: 'single_line_text_field',
+    description: 'Unique identifier from Yotpo (for sync)',
+    required: true,
+    source: 'review.id',
+  },
+  {
+    key: 'rating',
+    name: 'Rating',
+    type: 'number_integer',
+    description: 'Star rating (1-5)',
+    required: true,
+    validations: [
+      { name: 'min', value: '1' },
+      { name: 'max', value: '5' },
+    ],
+    source: 'review.score',
+  },
+  {
+    key: 'title',
+    name: 'Review Title',
+    type: 'single_line_text_field',
+    description: 'Review headline',
+    required: true,
+    source: 'review.title',
+    transforms: ['decode'],
+    default: '',
+  },
+  {
+    key: 'content',
+    name: 'Review Content',
+    type: 'multi_line_text_field',
+    description: 'Full review text',
+    required: true,
+    source: 'review.content',
+    transforms: ['decode'],
+    default: '',
+  },
+
+  // Reviewer Fields
+  {
+    key: 'reviewer_name',
+    name: 'Reviewer Name',
+    type: 'single_line_text_field',
+    description: 'Customer name',
+    source: 'review.name',
+    transforms: ['decode'],
+    default: 'Anonymous',
+  },
+  {
+    key: 'reviewer_email',
+    name: 'Reviewer Email',
+    type: 'single_line_text_field',
+    description: 'Customer email (admin only)',
+    private: true,
+    source: 'review.email',
+  },
+
+  // Store Reply
+  {
+    key: 'reply_content',
+    name: 'Reply Content',
+    type: 'multi_line_text_field',
+    description: 'Store reply to the review',
+    source: 'reply.content',
+  },
+  {
+    key: 'reply_author',
+    name: 'Reply Author',
+    type: 'single_line_text_field',
+    description: 'Who replied on behalf of the store',
+    source: 'reply.author',
+  },
+  {
+    key: 'reply_date',
+    name: 'Reply Date',
+    type: 'date_time',
+    description: 'When the reply was posted',
+    source: 'reply.createdAt',
+    transforms: ['datetime'],
+  },
+
+  // Media
+  {
+    key: 'media',
+    name: 'Media',
+    type: 'list.file_reference',
+    description: 'Customer photos and videos, copied to Shopify Files',
+    validations: [
+      { name: 'file_type_options', value: '["Image","Video"]' },
+    ],
+    source: 'media.fileIds',
+    transforms: ['json'],
+  },
+
+  // Product Association
+  {
+    key: 'product_sku',
+    name: 'Product SKU',
+    type: 'single_line_text_field',
+    description: 'Yotpo SKU for matching',
+    required: true,
+    definitions: PRODUCT_ONLY,
+    source: 'review.sku',
+  },
+  {
+    key: 'product_reference',
+    name: 'Product Reference',
+    type: 'product_reference',
+    description: 'Linked Shopify product',
+    definitions: PRODUCT_ONLY,
+    source: 'product.id',
+  },
+
+  // Badges
+  {
+    key: 'verified_buyer',
+    name: 'Verified Buyer',
+    type: 'boolean',
+    description: 'Reviewer bought the product',
+    definitions: PRODUCT_ONLY,
+    source: 'badges.verifiedBuyer',
+  },
+  {
+    key: 'incentivized',
+    name: 'Incentivized',
+    type: 'boolean',
+    description: 'Review was written in exchange for an incentive',
+    definitions: PRODUCT_ONLY,
+    source: 'badges.incentivized',
+  },
+  {
+    key: 'syndicated',
+    name: 'Syndicated',
+    type: 'boolean',
+    description: 'Review was syndicated from another store',
+    definitions: PRODUCT_ONLY,
+    source: 'badges.syndicated',
+  },
+
+  // Custom Questions
+  {
+    key: 'custom_questions',
+    name: 'Custom Questions',
+    type: 'json',
+    description: 'Answers to custom review questions ([{ question, answer, type }])',
+    definitions: PRODUCT_ONLY,
+    source: 'customQuestions',
+    transforms: ['json'],
+  },
+  ...CUSTOM_QUESTION_FIELDS.map(({ question, key, name, type }) => ({
+    key,
+    name,
+    type,
+    description: `Answer to "${question}"`,
+    definitions: PRODUCT_ONLY,
+    source: ['customAnswers', question.toLowerCase()],
+    transforms: ['answer'],
+  })),
+
+  // Metadata
+  {
+    key: 'created_date',
+    name: 'Created Date',
+    type: 'date',
+    description: 'When the review was written',
+    source: 'review.created_at',
+    transforms: ['date'],
+  },
+  {
+    key: 'sentiment_score',
+    name: 'Sentiment Score',
+    type: 'number_decimal',
+    description: 'AI sentiment analysis (0-1)',
+    validations: [
+      { name: 'min', value: '0' },
+      { name: 'max', value: '1' },
+    ],
+    source: 'review.sentiment',
+  },
+  {
+    key: 'helpful_votes',
+    name: 'Helpful Votes',
+    type: 'number_integer',
+    description: 'Number of upvotes',
+    source: 'review.votes_up',
+  },
+
+  // Status
+  {
+    key: 'is_active',
+    name: 'Is Active',
+    type: 'boolean',
+    description: 'Review is active (not deleted/archived)',
+    source: 'status.isActive',
+  },
+  {
+    key: 'synced_at',
+    name: 'Synced At',
+    type: 'date_time',
+    description: 'Last sync timestamp',
+    source: 'sync.now',
+    transforms: ['datetime'],
+  },
+];
@@ -0,0 +1,11 @@
+/**
+ * Version of the metaobject schema: review-fields.js, question-fields.js, the statistics definition and
+ * product-metafields.js. Bump it whenever a field or its access is added, changed or removed. `yotpo-sync setup` records
+ * the version it migrated Shopify to in a shop metafield.
+ */
+export const SCHEMA_VERSION = 9;
+
+export const SCHEMA_VERSION_METAFIELD = {
+  namespace: 'yotpo_sync',
+  key: 'schema_version',
+};
@@ -0,0 +1,67 @@
+/**
+ * How review sentiment is bucketed in the statistics. Yotpo scores sentiment from
+ * 0 (negative) to 1 (positive); reviews without a score count in none of the buckets.
+ */
+export const SENTIMENT_BUCKETS = {
+  negativeBelow: 0.4,
+  positiveFrom: 0.6,
+};
+
+/**
+ * Keywords customers mention, extracted from review titles and content
+ * - limit: keywords kept per statistics record
+ * - maxWords: longest phrase considered ("true to size" has 3)
+ * - minReviews: reviews that must mention a keyword before it counts
+ * - stopWords: extra words to ignore, on top of common English and review filler words
+ */
+export const KEYWORDS = {
+  limit: 10,
+  maxWords: 3,
+  minReviews: 2,
+  stopWords: [],
+};
+
+/**
+ * Rolling statistics over the reviews created in the last `days` days, one set per entry.
+ * A window's average rating is compared with the window right before it (for 90 days,
+ * days 91-180) to tell whether ratings go up or down.
+ * - trendThreshold: change in average rating, in stars, that counts as up or down
+ * - trendMinReviews: reviews both windows need before a trend is reported
+ * - histogramMonths: calendar months in the monthly histogram, the current one included
+ * The windows are statistics fields, so bump SCHEMA_VERSION when changing `days`.
+ */
+export const TIME_WINDOWS = {
+  days: [30, 90, 365],
+  trendThreshold: 0.2,
+  trendMinReviews: 3,
+  histogramMonths: 24,
+};
+
+/**
+ * Weighted scores stored next to the plain average rating, so a product with one 5-star
+ * review doesn't outrank one with 500 reviews at 4.8 when sorting:
+ * - priorReviews: weighted_rating is a Bayesian average, as if every product also had this
+ *   many reviews at the store-wide average of product reviews (0: same as average_rating)
+ * - wilson: also store wilson_score, the lower bound of the share of positive reviews
+ * - positiveFrom: stars a review needs to count as positive for wilson_score
+ * - z: confidence of the lower bound, as a normal quantile (1.96 for 95%)
+ */
+export const WEIGHTED_RATING = {
+  priorReviews: 10,
+  wilson: true,
+  positiveFrom: 4,
+  z: 1.96,
+};
+
+/**
+ * Keys (product_sku) of the store-wide statistics records, by scope. Per-product records
+ * have the scope `product` and never count brand reviews.
+ * - all_products: every product review
+ * - brand: every brand (site) review
+ * - combined: both; this record keeps the key it had before scopes were added
+ */
+export const GLOBAL_STATISTICS_KEYS = {
+  all_products: '_global_product_reviews',
+  brand: '_global_brand_reviews',
+  combined: '_global_all_reviews',
+};
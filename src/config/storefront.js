@@ -0,0 +1,9 @@
+/**
+ * Storefront access of the review and statistics metaobjects and the product metafields:
+ * PUBLIC_READ lets Liquid and the Storefront API read them, NONE keeps them admin-only.
+ *
+ * Shopify grants access per definition, not per field, so while this is PUBLIC_READ the
+ * review fields marked `private` in review-fields.js (reviewer_email) are left out of the
+ * definitions and never synced.
+ */
+export const STOREFRONT_ACCESS = 'PUBLIC_READ';
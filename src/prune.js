@@ -0,0 +1,237 @@
+import { writeFileSync } from 'fs';
+import { YotpoClient } from './clients/yotpo-client.js';
+import { ShopifyClient } from './clients/shopify-client.js';
+import { ProductMapper } from './utils/product-mapper.js';
+import { SyncCache } from './utils/sync-cache.js';
+import { SyncPlan, DEFAULT_CONCURRENCY } from './utils/sync-plan.js';
+import { confirm } from './utils/confirm.js';
+import { shouldSyncReview } from './transformers/review-transformer.js';
+import { getStatisticsKey } from './sync-statistics.js';
+import { syncProductMetafields } from './sync-product-metafields.js';
+import { GLOBAL_STATISTICS_KEYS } from './config/statistics.js';
+
+const REVIEW_TYPES = ['yotpo_product_review', 'yotpo_brand_review'];
+const QUESTION_TYPE = 'yotpo_product_question';
+const STATISTICS_TYPE = 'yotpo_review_statistics';
+const BRAND_SKU = 'yotpo_site_reviews';
+const GLOBAL_STATISTICS = new Set(Object.values(GLOBAL_STATISTICS_KEYS));
+
+/**
+ * Finds and deletes orphaned metaobjects:
+ * - reviews and questions whose Yotpo ID no longer exists in Yotpo
+ * - duplicate metaobjects sharing a yotpo_id (or product_sku for statistics); the newest is kept
+ * - statistics for SKUs that have no active reviews
+ * - statistics still kept under a SKU whose reviews now count towards its product's statistics
+ * - statistics of brand reviews kept as if they were a product (now the brand global statistics)
+ * Product reviews and questions whose SKU no longer matches a Shopify product are reported but kept.
+ * @param {object} options - { dryRun, yes, bulk, concurrency }
+ * @returns {object} - { orphans, deleted, backupFile, aborted, errors }
+ */
+export async function pruneMetaobjects(options = {}) {
+  const { dryRun = false, yes = false, bulk = false, concurrency = DEFAULT_CONCURRENCY } = options;
+
+  console.log(`🧹 Pruning orphaned Yotpo metaobjects${dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(70) + '\n');
+
+  const yotpoClient = YotpoClient.fromEnv();
+  const shopifyClient = ShopifyClient.fromEnv(process.env, { bulk });
+  const productMapper = new ProductMapper(shopifyClient);
+
+  // Step 1: Current Yotpo review set
+  console.log('📥 Step 1: Fetching reviews from Yotpo...');
+  const allReviews = await yotpoClient.fetchAllReviewsPaginated();
+
+  // An empty response is far more likely an API problem than every review being deleted
+  if (allReviews.length === 0) {
+    throw new Error('Yotpo returned no reviews; refusing to prune');
+  }
+
+  const yotpoIds = new Set(allReviews.map(review => review.id.toString()));
+  const reviewedSkus = new Set(allReviews.filter(shouldSyncReview).map(review => review.sku));
+  console.log(`✓ ${yotpoIds.size} reviews across ${reviewedSkus.size} SKUs`);
+
+  // Unlike reviews, a store can have no questions at all; without any, question
+  // metaobjects are kept rather than risk deleting them all over an API problem
+  const allQuestions = await yotpoClient.fetchAllQuestionsPaginated();
+  const questionIds = allQuestions.length > 0 ? new Set(allQuestions.map(question => question.id.toString())) : null;
+  console.log(`✓ ${allQuestions.length} questions${questionIds ? '' : ' (question metaobjects are kept)'}\n`);
+
+  // Step 2: Current product catalog
+  console.log('📦 Step 2: Loading product catalog...');
+  await productMapper.buildProductCache();
+  const statisticsKeys = new Set([...reviewedSkus]
+    .filter(sku => sku !== BRAND_SKU)
+    .map(sku => getStatisticsKey(sku, productMapper)));
+
+  // Step 3: Compare every metaobject against both
+  console.log('🔍 Step 3: Scanning metaobjects...');
+  const plan = new SyncPlan({ source: 'prune', shop: shopifyClient.shopUrl });
+  const orphans = {
+    missing_in_yotpo: 0,
+    duplicate: 0,
+    no_reviews: 0,
+    merged_into_product: 0,
+    brand_scope: 0,
+    product_not_found: 0,
+  };
+  const backup = [];
+
+  for (const type of [...REVIEW_TYPES, QUESTION_TYPE, STATISTICS_TYPE]) {
+    const metaobjects = await shopifyClient.fetchAllMetaobjects(type);
+    const groups = groupByKey(metaobjects, ShopifyClient.getKeyField(type));
+    console.log(`  ${type}: ${metaobjects.length} metaobjects, ${groups.size} unique`);
+
+    groups.forEach((group, key) => {
+      // Keep the most recently updated metaobject, like buildMetaobjectCache does
+      group.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      const [keep, ...duplicates] = group;
+      const name = getName(type, key);
+
+      duplicates.forEach(metaobject => {
+        orphans.duplicate++;
+        backup.push({ reason: 'duplicate', metaobject });
+        plan.addDelete({ type, key, metaobjectId: metaobject.id, label: `${name} (duplicate of ${keep.id})` });
+      });
+
+      const reason = getOrphanReason(type, key, { yotpoIds, questionIds, reviewedSkus, statisticsKeys });
+      if (reason) {
+        orphans[reason]++;
+        backup.push({ reason, metaobject: keep });
+        plan.addDelete({
+          type,
+          key,
+          metaobjectId: keep.id,
+          label: `${name} (${reason})`,
+          // Reviews and questions gone from Yotpo should also leave the sync cache
+          removed: reason === 'missing_in_yotpo' ? 'delete' : null,
+        });
+        return;
+      }
+
+      if (type === 'yotpo_product_review' || type === QUESTION_TYPE) {
+        const sku = getFieldValue(keep, 'product_sku');
+        if (!productMapper.getProductIdBySku(sku)) {
+          orphans.product_not_found++;
+          plan.addSkip({ type, key, label: `${name} - SKU: ${sku}`, reason: 'product_not_found, kept' });
+        }
+      }
+    });
+  }
+
+  console.log('');
+  plan.print();
+
+  const toDelete = plan.actions.filter(action => action.operation === 'delete');
+  console.log('\n📊 Orphans found:');
+  console.log(`  Missing in Yotpo: ${orphans.missing_in_yotpo}`);
+  console.log(`  Duplicates: ${orphans.duplicate}`);
+  console.log(`  Statistics without reviews: ${orphans.no_reviews}`);
+  console.log(`  SKU statistics now kept per product: ${orphans.merged_into_product}`);
+  console.log(`  Brand statistics now kept store-wide: ${orphans.brand_scope}`);
+  console.log(`  Product no longer in catalog (kept): ${orphans.product_not_found}`);
+
+  const result = { orphans, deleted: 0, backupFile: null, aborted: false, errors: 0 };
+
+  if (toDelete.length === 0) {
+    console.log('\n✨ Nothing to prune.');
+    return result;
+  }
+
+  if (dryRun) {
+    console.log(`\n(dry run) ${toDelete.length} metaobjects would be deleted.`);
+    return result;
+  }
+
+  if (!yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`Refusing to delete ${toDelete.length} metaobjects without confirmation; re-run with --yes`);
+    }
+
+    if (!(await confirm(`\nDelete ${toDelete.length} metaobjects?`))) {
+      console.log('Aborted, nothing deleted.');
+      result.aborted = true;
+      return result;
+    }
+  }
+
+  // Back up everything before deleting it
+  result.backupFile = `prune-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  writeFileSync(result.backupFile, JSON.stringify({
+    createdAt: new Date().toISOString(),
+    shop: shopifyClient.shopUrl,
+    metaobjects: backup,
+  }, null, 2));
+  console.log(`\n💾 Backup of ${backup.length} metaobjects written to ${result.backupFile}\n`);
+
+  const syncCache = new SyncCache();
+  const counts = await plan.apply({ shopifyClient, syncCache, concurrency });
+  syncCache.saveCache();
+
+  Object.values(counts).forEach(typeCounts => {
+    result.deleted += typeCounts.deleted;
+    result.errors += typeCounts.errors;
+  });
+
+  console.log(`\n${result.errors > 0 ? '⚠️' : '✅'} Deleted ${result.deleted} metaobjects (${result.errors} errors)\n`);
+
+  // Products whose reviews or statistics were deleted shouldn't keep pointing at them
+  if (result.deleted > 0) {
+    const productMetafields = await syncProductMetafields(shopifyClient, { concurrency });
+    result.errors += productMetafields.errors;
+  }
+
+  return result;
+}
+
+function getName(type, key) {
+  if (type === STATISTICS_TYPE) {
+    return `statistics for ${key}`;
+  }
+
+  return type === QUESTION_TYPE ? `Question #${key}` : `Review #${key}`;
+}
+
+function getOrphanReason(type, key, { yotpoIds, questionIds, reviewedSkus, statisticsKeys }) {
+  if (type === STATISTICS_TYPE) {
+    if (GLOBAL_STATISTICS.has(key) || statisticsKeys.has(key)) {
+      return null;
+    }
+
+    if (key === BRAND_SKU) {
+      return 'brand_scope';
+    }
+
+    return reviewedSkus.has(key) ? 'merged_into_product' : 'no_reviews';
+  }
+
+  if (type === QUESTION_TYPE) {
+    return !questionIds || questionIds.has(key) ? null : 'missing_in_yotpo';
+  }
+
+  return yotpoIds.has(key) ? null : 'missing_in_yotpo';
+}
+
+function groupByKey(metaobjects, keyField) {
+  const groups = new Map();
+
+  metaobjects.forEach(metaobject => {
+    const key = getFieldValue(metaobject, keyField);
+
+    // Metaobjects without a key were not created by the sync; leave them alone
+    if (!key) {
+      return;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(metaobject);
+  });
+
+  return groups;
+}
+
+function getFieldValue(metaobject, key) {
+  const field = metaobject.fields.find(f => f.key === key);
+  return field ? field.value : null;
+}
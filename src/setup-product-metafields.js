@@ -0,0 +1,118 @@
+import { ShopifyClient } from './clients/shopify-client.js';
+import { PRODUCT_METAFIELDS } from './config/product-metafields.js';
+import { STOREFRONT_ACCESS } from './config/storefront.js';
+
+/**
+ * Creates the product metafield definitions (or enables the standard ones) that are
+ * missing, and gives existing ones STOREFRONT_ACCESS. One with another type is reported
+ * as an error.
+ * @param {Array} sources - Only metafields built from these metaobject types
+ * @param {object} options - { plan }: only print what's missing
+ * @returns {Array} - { type, status, changes, errors } per metafield, like DefinitionMigrator.migrate
+ */
+export async function setupProductMetafieldDefinitions(sources, { plan = false } = {}) {
+  console.log(`${plan ? 'Checking' : 'Setting up'} product metafield definitions in Shopify...\n`);
+
+  const shopifyClient = ShopifyClient.fromEnv();
+  const results = [];
+
+  for (const metafield of PRODUCT_METAFIELDS.filter(metafield => sources.includes(metafield.source))) {
+    console.log(`Product metafield ${metafield.namespace}.${metafield.key} (${metafield.type})`);
+    results.push(await setupProductMetafield(shopifyClient, metafield, { plan }));
+    console.log('');
+  }
+
+  return results;
+}
+
+async function setupProductMetafield(shopifyClient, metafield, { plan }) {
+  const { namespace, key, type } = metafield;
+  const result = { type: `product.${namespace}.${key}`, status: 'unchanged', changes: [], errors: 0 };
+  const existing = await shopifyClient.getMetafieldDefinition('PRODUCT', namespace, key);
+
+  if (existing) {
+    if (existing.type.name !== type) {
+      console.log(`  ✗ Defined as ${existing.type.name}, expected ${type}; change or remove it in Shopify admin`);
+      result.errors++;
+      return result;
+    }
+
+    const storefront = existing.access?.storefront || 'NONE';
+    if (storefront === STOREFRONT_ACCESS) {
+      console.log('  ✓ Up to date');
+      return result;
+    }
+
+    console.log(`  ~ Storefront access: ${storefront} → ${STOREFRONT_ACCESS}`);
+    result.changes.push({ action: 'access', from: storefront, to: STOREFRONT_ACCESS });
+
+    if (plan) {
+      result.status = 'planned';
+      return result;
+    }
+
+    const payload = await shopifyClient.updateMetafieldDefinition({
+      ownerType: 'PRODUCT',
+      namespace,
+      key,
+      access: { storefront: STOREFRONT_ACCESS },
+    });
+    return finish(result, payload, 'updated');
+  }
+
+  console.log(`  + ${metafield.standard ? 'Enable the standard definition' : 'Create the definition'}`);
+  result.changes.push({ action: 'create' });
+
+  if (plan) {
+    result.status = 'planned';
+    return result;
+  }
+
+  let payload;
+
+  if (metafield.standard) {
+    payload = await shopifyClient.enableStandardMetafieldDefinition('PRODUCT', namespace, key, { storefront: STOREFRONT_ACCESS });
+  } else {
+    const validations = [];
+
+    // Reference metafields are validated against the metaobject definition they point at
+    if (metafield.reference) {
+      const reference = await shopifyClient.getMetaobjectDefinition(metafield.reference);
+
+      if (!reference) {
+        console.error(`  ❌ The ${metafield.reference} definition has to exist first`);
+        result.errors++;
+        return result;
+      }
+
+      validations.push({ name: 'metaobject_definition_id', value: reference.id });
+    }
+
+    payload = await shopifyClient.createMetafieldDefinition({
+      ownerType: 'PRODUCT',
+      namespace,
+      key,
+      name: metafield.name,
+      description: metafield.description,
+      type,
+      validations,
+      access: { storefront: STOREFRONT_ACCESS },
+    });
+  }
+
+  return finish(result, payload, 'created');
+}
+
+function finish(result, payload, status) {
+  if (payload.userErrors.length > 0) {
+    payload.userErrors.forEach(error => {
+      console.error(`  ❌ ${error.message}${error.code ? ` (${error.code})` : ''}`);
+    });
+    result.errors += payload.userErrors.length;
+    return result;
+  }
+
+  result.status = status;
+  console.log(`  ✓ Definition ${status}`);
+  return result;
+}
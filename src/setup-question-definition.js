@@ -0,0 +1,43 @@
+import { ShopifyClient } from './clients/shopify-client.js';
+import { QUESTION_DEFINITION } from './config/question-fields.js';
+import { STOREFRONT_ACCESS } from './config/storefront.js';
+import { getFieldDefinitions } from './transformers/field-mapping.js';
+import { DefinitionMigrator } from './utils/definition-migrator.js';
+
+/**
+ * Desired question definition; fields come from the mapping in src/config/question-fields.js
+ */
+export function getQuestionDefinition() {
+  return {
+    name: QUESTION_DEFINITION.name,
+    type: QUESTION_DEFINITION.type,
+    description: QUESTION_DEFINITION.description,
+    access: {
+      storefront: STOREFRONT_ACCESS,
+    },
+    capabilities: {
+      publishable: {
+        enabled: true
+      }
+    },
+    fieldDefinitions: getFieldDefinitions(QUESTION_DEFINITION.type),
+  };
+}
+
+/**
+ * Creates the question definition, or migrates an existing one to the current fields
+ * @param {object} options - { plan, yes } (see DefinitionMigrator.migrate)
+ * @returns {Array} - The migration result, as a one-element list
+ */
+export async function setupQuestionMetaobjectDefinition(options = {}) {
+  console.log(`${options.plan ? 'Checking' : 'Setting up'} the Yotpo Product Question metaobject definition in Shopify...\n`);
+
+  const migrator = new DefinitionMigrator(ShopifyClient.fromEnv());
+  const definition = getQuestionDefinition();
+
+  console.log(`${definition.name} (${definition.type})`);
+  const result = await migrator.migrate(definition, options);
+  console.log('');
+
+  return [result];
+}
@@ -1,149 +1,215 @@
-import 'dotenv/config';
 import { ShopifyClient } from './clients/shopify-client.js';
+import { DefinitionMigrator } from './utils/definition-migrator.js';
+import { STOREFRONT_ACCESS } from './config/storefront.js';
+import { TIME_WINDOWS } from './config/statistics.js';
 
-async function setupStatisticsMetaobjectDefinition() {
-  console.log('Setting up Yotpo Review Statistics metaobject definition in Shopify...\n');
-
-  const shopifyClient = new ShopifyClient(
-    process.env.SHOPIFY_SHOP_URL,
-    process.env.SHOPIFY_ACCESS_TOKEN,
-    process.env.SHOPIFY_API_VERSION || '2025-07'
-  );
-
-  try {
-    const mutation = `
-      mutation CreateStatisticsDefinition($definition: MetaobjectDefinitionCreateInput!) {
-        metaobjectDefinitionCreate(definition: $definition) {
-          metaobjectDefinition {
-            id
-            name
-            type
-            fieldDefinitions {
-              name
-              key
-              type {
-                name
-              }
-            }
-          }
-          userErrors {
-            field
-            message
-            code
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      definition: {
-        name: 'Yotpo Review Statistics',
-        type: 'yotpo_review_statistics',
-        description: 'Aggregated review statistics per product, synced from Yotpo',
-        capabilities: {
-          publishable: {
-            enabled: true
-          }
-        },
-        fieldDefinitions: [
-          {
-            key: 'product_sku',
-            name: 'Product SKU',
-            type: 'single_line_text_field',
-            description: 'Product SKU for matching',
-            required: true,
-          },
-          {
-            key: 'product_reference',
-            name: 'Product Reference',
-            type: 'product_reference',
-            description: 'Linked Shopify product',
-          },
-          {
-            key: 'average_rating',
-            name: 'Average Rating',
-            type: 'number_decimal',
-            description: 'Average star rating (1-5)',
-            validations: [
-              { name: 'min', value: '0' },
-              { name: 'max', value: '5' },
-            ],
-          },
-          {
-            key: 'total_reviews',
-            name: 'Total Reviews',
-            type: 'number_integer',
-            description: 'Total number of reviews',
-          },
-          {
-            key: 'five_star_count',
-            name: '5-Star Count',
-            type: 'number_integer',
-            description: 'Number of 5-star reviews',
-          },
-          {
-            key: 'four_star_count',
-            name: '4-Star Count',
-            type: 'number_integer',
-            description: 'Number of 4-star reviews',
-          },
-          {
-            key: 'three_star_count',
-            name: '3-Star Count',
-            type: 'number_integer',
-            description: 'Number of 3-star reviews',
-          },
-          {
-            key: 'two_star_count',
-            name: '2-Star Count',
-            type: 'number_integer',
-            description: 'Number of 2-star reviews',
-          },
-          {
-            key: 'one_star_count',
-            name: '1-Star Count',
-            type: 'number_integer',
-            description: 'Number of 1-star reviews',
-          },
-          {
-            key: 'synced_at',
-            name: 'Synced At',
-            type: 'date_time',
-            description: 'Last sync timestamp',
-          },
-        ],
-      },
-    };
+/**
+ * Desired statistics definition (bump SCHEMA_VERSION in src/config/schema.js when changing it)
+ */
+export const STATISTICS_DEFINITION = {
+  name: 'Yotpo Review Statistics',
+  type: 'yotpo_review_statistics',
+  description: 'Aggregated review statistics per product, synced from Yotpo',
+  access: {
+    storefront: STOREFRONT_ACCESS,
+  },
+  capabilities: {
+    publishable: {
+      enabled: true
+    }
+  },
+  fieldDefinitions: [
+    {
+      key: 'product_sku',
+      name: 'Product SKU',
+      type: 'single_line_text_field',
+      description: 'Shopify product ID when the Yotpo SKU matches a product, otherwise the SKU',
+      required: true,
+    },
+    {
+      key: 'scope',
+      name: 'Scope',
+      type: 'single_line_text_field',
+      description: 'Reviews counted: product (one product), all_products, brand or combined',
+      validations: [
+        { name: 'choices', value: '["product","all_products","brand","combined"]' },
+      ],
+    },
+    {
+      key: 'product_reference',
+      name: 'Product Reference',
+      type: 'product_reference',
+      description: 'Linked Shopify product',
+    },
+    {
+      key: 'average_rating',
+      name: 'Average Rating',
+      type: 'number_decimal',
+      description: 'Average star rating (1-5)',
+      validations: [
+        { name: 'min', value: '0' },
+        { name: 'max', value: '5' },
+      ],
+    },
+    {
+      key: 'weighted_rating',
+      name: 'Weighted Rating',
+      type: 'number_decimal',
+      description: 'Average rating pulled towards the store average while there are few reviews (1-5), for sorting',
+      validations: [
+        { name: 'min', value: '0' },
+        { name: 'max', value: '5' },
+      ],
+    },
+    {
+      key: 'wilson_score',
+      name: 'Wilson Score',
+      type: 'number_decimal',
+      description: 'Lower bound of the share of positive reviews (0-1), for sorting',
+      validations: [
+        { name: 'min', value: '0' },
+        { name: 'max', value: '1' },
+      ],
+    },
+    {
+      key: 'total_reviews',
+      name: 'Total Reviews',
+      type: 'number_integer',
+      description: 'Total number of reviews',
+    },
+    {
+      key: 'five_star_count',
+      name: '5-Star Count',
+      type: 'number_integer',
+      description: 'Number of 5-star reviews',
+    },
+    {
+      key: 'four_star_count',
+      name: '4-Star Count',
+      type: 'number_integer',
+      description: 'Number of 4-star reviews',
+    },
+    {
+      key: 'three_star_count',
+      name: '3-Star Count',
+      type: 'number_integer',
+      description: 'Number of 3-star reviews',
+    },
+    {
+      key: 'two_star_count',
+      name: '2-Star Count',
+      type: 'number_integer',
+      description: 'Number of 2-star reviews',
+    },
+    {
+      key: 'one_star_count',
+      name: '1-Star Count',
+      type: 'number_integer',
+      description: 'Number of 1-star reviews',
+    },
+    {
+      key: 'average_sentiment',
+      name: 'Average Sentiment',
+      type: 'number_decimal',
+      description: 'Average Yotpo sentiment of the scored reviews (0-1)',
+      validations: [
+        { name: 'min', value: '0' },
+        { name: 'max', value: '1' },
+      ],
+    },
+    {
+      key: 'positive_sentiment_count',
+      name: 'Positive Reviews',
+      type: 'number_integer',
+      description: 'Reviews with a positive sentiment score',
+    },
+    {
+      key: 'neutral_sentiment_count',
+      name: 'Neutral Reviews',
+      type: 'number_integer',
+      description: 'Reviews with a neutral sentiment score',
+    },
+    {
+      key: 'negative_sentiment_count',
+      name: 'Negative Reviews',
+      type: 'number_integer',
+      description: 'Reviews with a negative sentiment score',
+    },
+    {
+      key: 'top_keywords',
+      name: 'Top Keywords',
+      type: 'json',
+      description: 'What customers mention most ([{ keyword, reviews }])',
+    },
+    ...getTimeWindowFields(),
+    {
+      key: 'monthly_histogram',
+      name: 'Monthly Histogram',
+      type: 'json',
+      description: 'Reviews per month, oldest first ([{ month, reviews, average_rating }])',
+    },
+    {
+      key: 'synced_at',
+      name: 'Synced At',
+      type: 'date_time',
+      description: 'Last sync timestamp',
+    },
+  ],
+};
 
-    const result = await shopifyClient.graphqlRequest(mutation, variables);
+/**
+ * Rolling window fields, four per TIME_WINDOWS.days entry
+ */
+function getTimeWindowFields() {
+  return TIME_WINDOWS.days.flatMap(days => [
+    {
+      key: `review_count_${days}d`,
+      name: `Reviews (${days} Days)`,
+      type: 'number_integer',
+      description: `Reviews created in the last ${days} days`,
+    },
+    {
+      key: `average_rating_${days}d`,
+      name: `Average Rating (${days} Days)`,
+      type: 'number_decimal',
+      description: `Average star rating of the reviews created in the last ${days} days`,
+      validations: [
+        { name: 'min', value: '0' },
+        { name: 'max', value: '5' },
+      ],
+    },
+    {
+      key: `rating_change_${days}d`,
+      name: `Rating Change (${days} Days)`,
+      type: 'number_decimal',
+      description: `Average rating of the last ${days} days minus that of the ${days} days before`,
+    },
+    {
+      key: `rating_trend_${days}d`,
+      name: `Rating Trend (${days} Days)`,
+      type: 'single_line_text_field',
+      description: `up, stable or down, from the rating change over ${days} days`,
+      validations: [
+        { name: 'choices', value: '["up","stable","down"]' },
+      ],
+    },
+  ]);
+}
 
-    if (result.metaobjectDefinitionCreate.userErrors && result.metaobjectDefinitionCreate.userErrors.length > 0) {
-      console.error('Errors creating statistics metaobject definition:');
-      result.metaobjectDefinitionCreate.userErrors.forEach(error => {
-        console.error(`- ${error.message} (${error.code})`);
-      });
-      process.exit(1);
-    }
+/**
+ * Creates the statistics definition, or migrates an existing one to the current fields
+ * @param {object} options - { plan, yes } (see DefinitionMigrator.migrate)
+ * @returns {Array} - The migration result, as a one-element list
+ */
+export async function setupStatisticsMetaobjectDefinition(options = {}) {
+  console.log(`${options.plan ? 'Checking' : 'Setting up'} the Yotpo Review Statistics metaobject definition in Shopify...\n`);
 
-    const definition = result.metaobjectDefinitionCreate.metaobjectDefinition;
-    console.log('✓ Statistics metaobject definition created successfully!');
-    console.log(`\nDefinition ID: ${definition.id}`);
-    console.log(`Type: ${definition.type}`);
-    console.log(`Name: ${definition.name}`);
-    console.log(`\nFields created:`);
+  const migrator = new DefinitionMigrator(ShopifyClient.fromEnv());
 
-    definition.fieldDefinitions.forEach(field => {
-      console.log(`  - ${field.name} (${field.key}): ${field.type.name}`);
-    });
+  console.log(`${STATISTICS_DEFINITION.name} (${STATISTICS_DEFINITION.type})`);
+  const result = await migrator.migrate(STATISTICS_DEFINITION, options);
+  console.log('');
 
-    console.log('\nYou can now run "npm run sync" to sync reviews and statistics from Yotpo!');
-  } catch (error) {
-    console.error('Error setting up statistics metaobject definition:', error.message);
-    if (error.stack) {
-      console.error('\nStack trace:', error.stack);
-    }
-    process.exit(1);
-  }
+  return [result];
 }
 
-setupStatisticsMetaobjectDefinition();
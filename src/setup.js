@@ -0,0 +1,85 @@
+import { ShopifyClient } from './clients/shopify-client.js';
+import { SCHEMA_VERSION, SCHEMA_VERSION_METAFIELD } from './config/schema.js';
+
+// Metaobject types each setup target covers
+const SETUP_TARGETS = {
+  all: ['yotpo_product_review', 'yotpo_brand_review', 'yotpo_review_statistics', 'yotpo_product_question'],
+  reviews: ['yotpo_product_review', 'yotpo_brand_review'],
+  statistics: ['yotpo_review_statistics'],
+  questions: ['yotpo_product_question'],
+};
+
+/**
+ * Creates or migrates the metaobject definitions, then the product metafield definitions.
+ * Safe to re-run: definitions that already match are left alone. After a complete,
+ * error-free run the schema version is recorded in Shopify.
+ * @param {object} options - { target (all, reviews, statistics or questions), plan, yes }
+ * @returns {object} - Definition types by outcome, the schema version, and the error count
+ */
+export async function setupDefinitions({ target = 'all', plan = false, yes = false } = {}) {
+  const results = [];
+
+  const types = SETUP_TARGETS[target];
+
+  if (types.includes('yotpo_product_review')) {
+    const { setupMetaobjectDefinitions } = await import('./setup-metaobject-definition.js');
+    results.push(...await setupMetaobjectDefinitions({ plan, yes }));
+  }
+  if (types.includes('yotpo_review_statistics')) {
+    const { setupStatisticsMetaobjectDefinition } = await import('./setup-statistics-definition.js');
+    results.push(...await setupStatisticsMetaobjectDefinition({ plan, yes }));
+  }
+  if (types.includes('yotpo_product_question')) {
+    const { setupQuestionMetaobjectDefinition } = await import('./setup-question-definition.js');
+    results.push(...await setupQuestionMetaobjectDefinition({ plan, yes }));
+  }
+
+  // Product metafields reference the metaobject definitions, so they come last
+  const { setupProductMetafieldDefinitions } = await import('./setup-product-metafields.js');
+  results.push(...await setupProductMetafieldDefinitions(types, { plan }));
+
+  const typesWith = status => results.filter(result => result.status === status).map(result => result.type);
+  const summary = {
+    plan,
+    created: typesWith('created'),
+    updated: typesWith('updated'),
+    unchanged: typesWith('unchanged'),
+    planned: typesWith('planned'),
+    schemaVersion: { current: SCHEMA_VERSION, recorded: null },
+    errors: results.reduce((sum, result) => sum + result.errors, 0),
+  };
+
+  const shopifyClient = ShopifyClient.fromEnv();
+  const { namespace, key } = SCHEMA_VERSION_METAFIELD;
+  const recorded = await shopifyClient.getShopMetafield(namespace, key);
+  summary.schemaVersion.recorded = recorded === null ? null : Number(recorded);
+
+  // Only a full run covers every definition the version describes
+  if (!plan && target === 'all' && summary.errors === 0 && summary.schemaVersion.recorded !== SCHEMA_VERSION) {
+    await shopifyClient.setShopMetafield(namespace, key, 'number_integer', SCHEMA_VERSION.toString());
+    summary.schemaVersion.recorded = SCHEMA_VERSION;
+  }
+
+  console.log('='.repeat(60));
+  console.log(plan ? '\nSetup Plan (nothing changed)' : '\nSetup Complete!');
+  console.log('='.repeat(60));
+
+  if (plan) {
+    console.log(`\nDefinitions to change: ${summary.planned.length > 0 ? summary.planned.join(', ') : 'none'}`);
+  } else {
+    console.log(`\n  Created: ${summary.created.join(', ') || 'none'}`);
+    console.log(`  Updated: ${summary.updated.join(', ') || 'none'}`);
+    console.log(`  Up to date: ${summary.unchanged.join(', ') || 'none'}`);
+  }
+
+  console.log(`\nSchema version: ${summary.schemaVersion.recorded ?? 'not recorded'} in Shopify, ${SCHEMA_VERSION} in this version`);
+
+  if (summary.errors > 0) {
+    console.log(`\n⚠️  ${summary.errors} definition change(s) failed or need a manual migration (see above)`);
+  } else if (!plan) {
+    console.log('\nYou can now run "yotpo-sync sync" to sync reviews from Yotpo!');
+  }
+  console.log('='.repeat(60) + '\n');
+
+  return summary;
+}
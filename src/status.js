@@ -0,0 +1,59 @@
+import { SyncCache } from './utils/sync-cache.js';
+import { SyncCheckpoint } from './utils/sync-checkpoint.js';
+
+export const REQUIRED_ENV = [
+  'YOTPO_APP_KEY',
+  'YOTPO_APP_SECRET',
+  'SHOPIFY_SHOP_URL',
+  'SHOPIFY_ACCESS_TOKEN',
+];
+
+/**
+ * Reports local sync state: cache contents and configuration.
+ * Makes no API calls, so it is safe to run from monitoring jobs.
+ */
+export async function getSyncStatus() {
+  const syncCache = new SyncCache();
+  const cacheStats = syncCache.getStats();
+  const checkpoint = new SyncCheckpoint().load();
+  const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+
+  console.log('📋 Sync Status');
+  console.log('='.repeat(50));
+  console.log(`  Cache file: ${syncCache.cacheFilePath}`);
+  console.log(`  Reviews tracked: ${cacheStats.totalCached}`);
+  console.log(`  Last sync: ${cacheStats.lastSync || 'never'}`);
+  console.log(`  Active reviews known: ${cacheStats.activeReviews}`);
+  console.log(`  Pending retry: ${cacheStats.pending}`);
+  console.log(`  Media files tracked: ${cacheStats.media}`);
+  console.log(`  Questions tracked: ${cacheStats.questions}`);
+  console.log(`  Shop: ${process.env.SHOPIFY_SHOP_URL || '(not set)'}`);
+  console.log(`  API version: ${process.env.SHOPIFY_API_VERSION || '2025-07'}`);
+
+  if (checkpoint) {
+    console.log(`\n⚠️  Interrupted sync from ${checkpoint.startedAt} (${checkpoint.phase} phase, last checkpoint ${checkpoint.updatedAt})`);
+    console.log('   Run "yotpo-sync sync --resume" to continue it');
+  }
+
+  if (missingEnv.length > 0) {
+    console.log(`\n⚠️  Missing configuration: ${missingEnv.join(', ')}`);
+  }
+  console.log('='.repeat(50));
+
+  return {
+    cacheFile: syncCache.cacheFilePath,
+    reviewsTracked: cacheStats.totalCached,
+    lastSync: cacheStats.lastSync,
+    activeReviews: cacheStats.activeReviews,
+    pending: cacheStats.pending,
+    mediaFiles: cacheStats.media,
+    questionsTracked: cacheStats.questions,
+    interruptedSync: checkpoint
+      ? { startedAt: checkpoint.startedAt, phase: checkpoint.phase, updatedAt: checkpoint.updatedAt }
+      : null,
+    shop: process.env.SHOPIFY_SHOP_URL || null,
+    apiVersion: process.env.SHOPIFY_API_VERSION || '2025-07',
+    missingEnv,
+    errors: missingEnv.length,
+  };
+}
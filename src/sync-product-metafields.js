@@ -0,0 +1,258 @@
+import { runOrdered } from './utils/worker-pool.js';
+import { PRODUCT_METAFIELDS, PRODUCT_REVIEWS_LIST } from './config/product-metafields.js';
+
+const STATISTICS_TYPE = 'yotpo_review_statistics';
+const PRODUCT_REVIEW_TYPE = 'yotpo_product_review';
+
+// Products read per request (nodes() takes up to 100 IDs)
+const READ_BATCH_SIZE = 100;
+
+// Products written per request; metafieldsSet takes up to 25 metafields
+const WRITE_BATCH_SIZE = Math.floor(25 / PRODUCT_METAFIELDS.length);
+
+// Shopify's rating metafields are on a 1-5 scale, like Yotpo's stars
+const RATING_SCALE = { scale_min: '1.0', scale_max: '5.0' };
+
+// PRODUCT_REVIEWS_LIST orders: compare the fields of two reviews, first one first
+const REVIEW_ORDERS = {
+  newest: compareNewest,
+  highest_rated: (a, b) => (Number(b.rating) - Number(a.rating)) || compareNewest(a, b),
+  most_helpful: (a, b) => ((Number(b.helpful_votes) || 0) - (Number(a.helpful_votes) || 0)) || compareNewest(a, b),
+};
+
+/**
+ * Sets the product metafields of src/config/product-metafields.js on every product with
+ * statistics or reviews, and clears them on products that had some but have none left.
+ * Values come from the metaobject caches (built when missing), so this runs after the
+ * metaobjects were written. Products whose metafields already match are left alone, and
+ * a metafield with nothing left to show is deleted.
+ * @param {ShopifyClient} shopifyClient - Client to read and write with
+ * @param {object} options - { sources, concurrency }; sources limits the metafields to those
+ *   built from these metaobject types (default: all), concurrency is the number of write
+ *   requests in flight at once
+ * @returns {object} - { updated, unchanged, errors }, counted per product
+ */
+export async function syncProductMetafields(shopifyClient, { sources = [STATISTICS_TYPE, PRODUCT_REVIEW_TYPE], concurrency = 1 } = {}) {
+  const metafields = PRODUCT_METAFIELDS.filter(metafield => sources.includes(metafield.source));
+  const desired = new Map(); // product GID → { 'namespace.key': value }
+
+  for (const source of new Set(metafields.map(metafield => metafield.source))) {
+    await shopifyClient.buildMetaobjectCache(source);
+
+    const values = source === STATISTICS_TYPE
+      ? getStatisticsValues(shopifyClient.getCachedMetaobjects(source))
+      : getReviewListValues(shopifyClient.getCachedMetaobjects(source));
+
+    values.forEach((productValues, productId) => {
+      desired.set(productId, { ...desired.get(productId), ...productValues });
+    });
+  }
+
+  // Products whose reviews are all gone have no metaobjects left to find them by, so they
+  // are found by the metafields they still carry and have those cleared. Only the yotpo
+  // namespace is ours alone; reviews.* may be set by another app.
+  for (const metafield of metafields.filter(metafield => metafield.namespace === 'yotpo')) {
+    (await shopifyClient.getMetafieldProductIds(metafield.namespace, metafield.key))
+      .filter(productId => !desired.has(productId))
+      .forEach(productId => desired.set(productId, {}));
+  }
+
+  const productIds = [...desired.keys()];
+  const counts = { updated: 0, unchanged: 0, errors: 0 };
+
+  if (productIds.length === 0) {
+    return counts;
+  }
+
+  console.log(`\n🔗 Updating product metafields of ${productIds.length} products...`);
+
+  const current = new Map();
+  for (let start = 0; start < productIds.length; start += READ_BATCH_SIZE) {
+    const values = await shopifyClient.getProductMetafields(productIds.slice(start, start + READ_BATCH_SIZE), metafields);
+    values.forEach((productValues, productId) => current.set(productId, productValues));
+  }
+
+  const writes = [];
+  productIds.forEach(productId => {
+    // Products deleted from Shopify since their metaobjects were written
+    if (!current.has(productId)) {
+      return;
+    }
+
+    const write = { productId, set: [], remove: [] };
+
+    metafields.forEach(metafield => {
+      const name = `${metafield.namespace}.${metafield.key}`;
+      const value = desired.get(productId)[name] ?? null;
+
+      if (isSameValue(metafield, current.get(productId)[name], value)) {
+        return;
+      }
+
+      const identifier = { ownerId: productId, namespace: metafield.namespace, key: metafield.key };
+      if (value === null) {
+        write.remove.push(identifier);
+      } else {
+        write.set.push({ ...identifier, type: metafield.type, value });
+      }
+    });
+
+    if (write.set.length === 0 && write.remove.length === 0) {
+      counts.unchanged++;
+    } else {
+      writes.push(write);
+    }
+  });
+
+  const batches = [];
+  for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+    batches.push(writes.slice(start, start + WRITE_BATCH_SIZE));
+  }
+
+  await runOrdered(batches, {
+    concurrency,
+    worker: batch => writeBatch(shopifyClient, batch).catch(error => [error]),
+    onResult: (errors, batch) => {
+      // metafieldsSet is all-or-nothing, so an error fails every product in the request
+      if (errors.length > 0) {
+        console.error(`  ✗ Failed to update the metafields of ${batch.length} products: ${errors.map(error => error.message).join(', ')}`);
+        counts.errors += batch.length;
+      } else {
+        counts.updated += batch.length;
+      }
+    },
+  });
+
+  return counts;
+}
+
+/**
+ * @returns {Array} - userErrors of the set and delete requests
+ */
+async function writeBatch(shopifyClient, batch) {
+  const set = batch.flatMap(write => write.set);
+  const remove = batch.flatMap(write => write.remove);
+  const errors = [];
+
+  if (set.length > 0) {
+    errors.push(...(await shopifyClient.setMetafields(set)).userErrors);
+  }
+
+  if (remove.length > 0) {
+    errors.push(...(await shopifyClient.deleteMetafields(remove)).userErrors);
+  }
+
+  return errors;
+}
+
+/**
+ * reviews.rating, reviews.rating_count, yotpo.weighted_rating and yotpo.review_statistics of every product
+ * with statistics keyed by that product
+ * @returns {Map} - Product GID → { 'namespace.key': value or null }
+ */
+function getStatisticsValues(entries) {
+  const values = new Map();
+
+  entries.forEach(([key, metaobject]) => {
+    const fields = getFields(metaobject);
+    const productId = fields.product_reference;
+
+    // Statistics kept under a plain SKU (before they were grouped by product) are skipped
+    if (!productId || productId.split('/').pop() !== key) {
+      return;
+    }
+
+    const averageRating = Number(fields.average_rating);
+    const totalReviews = Number(fields.total_reviews) || 0;
+
+    values.set(productId, {
+      'reviews.rating': totalReviews > 0 && averageRating >= 1
+        ? JSON.stringify({ value: averageRating.toFixed(2), ...RATING_SCALE })
+        : null,
+      'reviews.rating_count': totalReviews.toString(),
+      // Empty in statistics without ratings; the metafield is removed then
+      'yotpo.weighted_rating': fields.weighted_rating || null,
+      'yotpo.review_statistics': metaobject.id,
+    });
+  });
+
+  return values;
+}
+
+/**
+ * yotpo.reviews of every product with product reviews: its published, active reviews
+ * in PRODUCT_REVIEWS_LIST order, at most PRODUCT_REVIEWS_LIST.limit of them
+ * @returns {Map} - Product GID → { 'yotpo.reviews': JSON list of GIDs, or null when empty }
+ */
+function getReviewListValues(entries) {
+  const { order, limit } = PRODUCT_REVIEWS_LIST;
+
+  if (!REVIEW_ORDERS[order]) {
+    throw new Error(`Unknown PRODUCT_REVIEWS_LIST order "${order}" (expected ${Object.keys(REVIEW_ORDERS).join(', ')})`);
+  }
+
+  const reviewsByProduct = new Map();
+
+  entries.forEach(([, metaobject]) => {
+    const fields = getFields(metaobject);
+    const productId = fields.product_reference;
+
+    if (!productId) {
+      return;
+    }
+
+    // Products whose reviews were all deactivated still get their list emptied
+    if (!reviewsByProduct.has(productId)) {
+      reviewsByProduct.set(productId, []);
+    }
+
+    const status = metaobject.capabilities?.publishable?.status;
+    if (fields.is_active !== 'false' && status !== 'DRAFT') {
+      reviewsByProduct.get(productId).push({ id: metaobject.id, fields });
+    }
+  });
+
+  const values = new Map();
+
+  reviewsByProduct.forEach((reviews, productId) => {
+    const ids = reviews
+      .sort((a, b) => REVIEW_ORDERS[order](a.fields, b.fields))
+      .slice(0, limit)
+      .map(review => review.id);
+
+    values.set(productId, { 'yotpo.reviews': ids.length > 0 ? JSON.stringify(ids) : null });
+  });
+
+  return values;
+}
+
+function compareNewest(a, b) {
+  return (b.created_date || '').localeCompare(a.created_date || '') || (Number(b.yotpo_id) - Number(a.yotpo_id));
+}
+
+function getFields(metaobject) {
+  return Object.fromEntries(metaobject.fields.map(field => [field.key, field.value]));
+}
+
+/**
+ * Compares a current metafield value with the desired one; JSON values (ratings, lists)
+ * may come back with other formatting
+ */
+function isSameValue(metafield, currentValue = null, value = null) {
+  if (currentValue === null || value === null || currentValue === value) {
+    return currentValue === value;
+  }
+
+  try {
+    const current = JSON.parse(currentValue);
+    const desired = JSON.parse(value);
+
+    if (metafield.type === 'rating') {
+      return ['value', 'scale_min', 'scale_max'].every(key => Number(current[key]) === Number(desired[key]));
+    }
+
+    return JSON.stringify(current) === JSON.stringify(desired);
+  } catch (error) {
+    return false;
+  }
+}
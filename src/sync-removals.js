@@ -0,0 +1,120 @@
+import { getQuestionSku } from './transformers/question-transformer.js';
+
+export const REMOVAL_POLICIES = ['deactivate', 'unpublish', 'delete', 'ignore'];
+
+const REVIEW_TYPES = ['yotpo_product_review', 'yotpo_brand_review'];
+const QUESTION_TYPE = 'yotpo_product_question';
+
+/**
+ * Adds actions for reviews that exist in Shopify but were deleted, archived
+ * or are missing in Yotpo. Depending on the policy the metaobject gets
+ * is_active=false (deactivate), is_active=false plus DRAFT status (unpublish),
+ * or is deleted (delete).
+ * @param {SyncPlan} plan - Plan to add actions to
+ * @param {Array} allReviews - Every review fetched from Yotpo, including deleted/archived
+ * @param {ShopifyClient} shopifyClient - Used to read the existing review metaobjects
+ * @param {object} options - { policy, skus, detectMissing }; detectMissing must be false
+ *   when allReviews is not the complete review set
+ * @returns {number} - Number of removed reviews found (including ones already handled)
+ */
+export async function planRemovals(plan, allReviews, shopifyClient, options = {}) {
+  let found = 0;
+
+  for (const type of REVIEW_TYPES) {
+    found += await planTypeRemovals(plan, type, allReviews, shopifyClient, {
+      ...options,
+      getRecordSku: review => review.sku,
+      labelPrefix: 'Review',
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Same as planRemovals, for product questions that were deleted or are missing in Yotpo
+ * @param {Array} allQuestions - Every question fetched from Yotpo, including deleted ones
+ * @returns {number} - Number of removed questions found (including ones already handled)
+ */
+export async function planQuestionRemovals(plan, allQuestions, shopifyClient, options = {}) {
+  return planTypeRemovals(plan, QUESTION_TYPE, allQuestions, shopifyClient, {
+    ...options,
+    getRecordSku: getQuestionSku,
+    labelPrefix: 'Question',
+  });
+}
+
+async function planTypeRemovals(plan, type, records, shopifyClient, options) {
+  const { policy = 'deactivate', skus = null, detectMissing = true, getRecordSku, labelPrefix } = options;
+
+  if (policy === 'ignore') {
+    return 0;
+  }
+
+  const yotpoById = new Map(records.map(record => [record.id.toString(), record]));
+
+  // An empty response is far more likely an API problem than every record being deleted
+  const canDetectMissing = detectMissing && records.length > 0;
+
+  let found = 0;
+
+  await shopifyClient.buildMetaobjectCache(type);
+
+  shopifyClient.getCachedMetaobjects(type).forEach(([yotpoId, metaobject]) => {
+    const record = yotpoById.get(yotpoId);
+    const reason = getRemovalReason(record, canDetectMissing);
+
+    if (!reason) {
+      return;
+    }
+
+    const sku = record ? getRecordSku(record) : getSku(type, metaobject);
+    if (skus && !skus.includes(sku)) {
+      return;
+    }
+
+    found++;
+    const label = `${labelPrefix} #${yotpoId} (${reason} in Yotpo)`;
+
+    if (policy === 'delete') {
+      plan.addDelete({ type, key: yotpoId, metaobjectId: metaobject.id, label, removed: policy });
+    } else {
+      plan.addUpsert({
+        type,
+        key: yotpoId,
+        fields: [{ key: 'is_active', value: 'false' }],
+        existing: metaobject,
+        label,
+        status: policy === 'unpublish' ? 'DRAFT' : null,
+        removed: policy,
+      });
+    }
+  });
+
+  return found;
+}
+
+function getRemovalReason(record, canDetectMissing) {
+  if (!record) {
+    return canDetectMissing ? 'missing' : null;
+  }
+
+  if (record.deleted) {
+    return 'deleted';
+  }
+
+  if (record.archived) {
+    return 'archived';
+  }
+
+  return null;
+}
+
+function getSku(type, metaobject) {
+  if (type === 'yotpo_brand_review') {
+    return 'yotpo_site_reviews';
+  }
+
+  const skuField = metaobject.fields.find(field => field.key === 'product_sku');
+  return skuField ? skuField.value : null;
+}
@@ -1,149 +1,177 @@
-import 'dotenv/config';
 import { YotpoClient } from './clients/yotpo-client.js';
 import { ShopifyClient } from './clients/shopify-client.js';
+import { shouldSyncReview } from './transformers/review-transformer.js';
 import { calculateReviewStatistics, calculateGlobalStatistics, transformStatisticsToMetaobject } from './transformers/statistics-calculator.js';
-
-export async function syncReviewStatistics(yotpoReviews = null, shopifyClient = null) {
-  console.log('📊 Syncing review statistics to Shopify...\n');
+import { SyncPlan, DEFAULT_CONCURRENCY } from './utils/sync-plan.js';
+import { ProductMapper } from './utils/product-mapper.js';
+import { assertSchema } from './utils/schema-check.js';
+import { syncProductMetafields } from './sync-product-metafields.js';
+import { GLOBAL_STATISTICS_KEYS } from './config/statistics.js';
+
+const STATISTICS_TYPE = 'yotpo_review_statistics';
+
+/**
+ * Calculates per-product and global statistics and upserts them to Shopify
+ * @param {Array|null} yotpoReviews - Active reviews; fetched from Yotpo when null
+ * @param {ShopifyClient|null} shopifyClient - Client to reuse; created from env when null
+ * @param {object} options - { dryRun, skus, savePlan, bulk, concurrency }
+ * @returns {object} - { created, updated, unchanged, skipped, errors, productMetafields }
+ */
+export async function syncReviewStatistics(yotpoReviews = null, shopifyClient = null, options = {}) {
+  const { dryRun = false, skus = null, savePlan = null, bulk = false, concurrency = DEFAULT_CONCURRENCY } = options;
+
+  console.log(`📊 Syncing review statistics to Shopify${dryRun ? ' (dry run)' : ''}...\n`);
 
   // Initialize clients if not provided
-  const client = shopifyClient || new ShopifyClient(
-    process.env.SHOPIFY_SHOP_URL,
-    process.env.SHOPIFY_ACCESS_TOKEN,
-    process.env.SHOPIFY_API_VERSION
-  );
+  const client = shopifyClient || ShopifyClient.fromEnv(process.env, { bulk });
+  await assertSchema(client, [STATISTICS_TYPE]);
 
   let reviews = yotpoReviews;
 
   // Fetch reviews if not provided
   if (!reviews) {
-    const yotpoClient = new YotpoClient(
-      process.env.YOTPO_APP_KEY,
-      process.env.YOTPO_APP_SECRET
-    );
+    const yotpoClient = YotpoClient.fromEnv();
 
     console.log('📥 Fetching reviews from Yotpo...');
-    reviews = await yotpoClient.fetchAllReviewsPaginated();
-    console.log(`✓ Found ${reviews.length} reviews\n`);
+    const allReviews = await yotpoClient.fetchAllReviewsPaginated();
+    reviews = allReviews.filter(shouldSyncReview);
+    console.log(`✓ Found ${reviews.length} active reviews\n`);
+  }
+
+  const plan = new SyncPlan({ source: 'stats', shop: client.shopUrl });
+  await planStatistics(plan, reviews, client, { skus });
+
+  if (dryRun) {
+    plan.print();
+  }
+
+  if (savePlan) {
+    plan.save(savePlan);
+  }
+
+  if (dryRun) {
+    return printStatisticsSummary(plan.summarize()[STATISTICS_TYPE], dryRun);
   }
 
+  const counts = (await plan.apply({ shopifyClient: client, concurrency }))[STATISTICS_TYPE];
+  const productMetafields = await syncProductMetafields(client, { sources: [STATISTICS_TYPE], concurrency });
+
+  return printStatisticsSummary(counts, dryRun, productMetafields);
+}
+
+/**
+ * Adds per-product and global statistics upserts to a plan. Reviews are grouped by the
+ * Shopify product their SKU matches (see getStatisticsKey), so variants share statistics.
+ * Brand reviews only count towards the brand and combined global statistics.
+ * @param {SyncPlan} plan - Plan to add actions to
+ * @param {Array} reviews - Active Yotpo reviews
+ * @param {ShopifyClient} client - Used to look up existing statistics metaobjects
+ * @param {object} options - { skus, productMapper }; productMapper matches SKUs to
+ *   products (one is created when not given)
+ */
+export async function planStatistics(plan, reviews, client, { skus = null, productMapper = null } = {}) {
+  const mapper = productMapper || new ProductMapper(client);
+  await mapper.buildProductCache();
+
+  const getKey = review => getStatisticsKey(review.sku, mapper);
+
+  // Narrow to the products of the requested SKUs (every review of those products is still counted)
+  const selectedKeys = skus ? new Set(skus.map(sku => getStatisticsKey(sku, mapper))) : null;
+  const selectedReviews = selectedKeys ? reviews.filter(review => selectedKeys.has(getKey(review))) : reviews;
+
   // Calculate statistics per product
-  const productStatistics = calculateReviewStatistics(reviews);
-  const productSkus = Object.keys(productStatistics);
+  const productStatistics = calculateReviewStatistics(selectedReviews, getKey, { population: reviews });
+  const keys = Object.keys(productStatistics);
 
-  if (productSkus.length === 0) {
+  // A store with only brand reviews still gets its global statistics
+  if (keys.length === 0 && (skus || reviews.length === 0)) {
     console.log('No product statistics to sync.');
-    return { created: 0, updated: 0, errors: 0 };
+    return;
   }
 
-  console.log(`📊 Calculated statistics for ${productSkus.length} products\n`);
-
-  let created = 0;
-  let updated = 0;
-  let errors = 0;
-
-  for (let i = 0; i < productSkus.length; i++) {
-    const sku = productSkus[i];
-    const stats = productStatistics[sku];
-
-    try {
-      // Check if statistics metaobject already exists for this SKU
-      const existingMetaobject = await client.getStatisticsMetaobjectBySku(sku);
-
-      // Transform statistics to metaobject fields
-      const metaobjectFields = transformStatisticsToMetaobject(stats);
-
-      if (existingMetaobject) {
-        // Update existing metaobject
-        const result = await client.updateStatisticsMetaobject(
-          existingMetaobject.id,
-          metaobjectFields
-        );
-
-        if (result.userErrors && result.userErrors.length > 0) {
-          console.error(`❌ Error updating statistics for SKU ${sku}:`, result.userErrors);
-          errors++;
-        } else {
-          console.log(`✓ Updated statistics for SKU ${sku} (${i + 1}/${productSkus.length})`);
-          updated++;
-        }
-      } else {
-        // Create new metaobject
-        const result = await client.createStatisticsMetaobject(metaobjectFields);
-
-        if (result.userErrors && result.userErrors.length > 0) {
-          console.error(`❌ Error creating statistics for SKU ${sku}:`, result.userErrors);
-          errors++;
-        } else {
-          console.log(`✓ Created statistics for SKU ${sku} (${i + 1}/${productSkus.length})`);
-          created++;
-        }
-      }
-    } catch (error) {
-      console.error(`❌ Error processing statistics for SKU ${sku}:`, error.message);
-      errors++;
-    }
-  }
+  console.log(`📊 Calculated statistics for ${keys.length} products\n`);
+
+  await client.buildMetaobjectCache(STATISTICS_TYPE);
 
-  // Calculate and sync global statistics (all reviews combined)
-  console.log('\n📊 Calculating global statistics (all reviews)...');
-  const globalStats = calculateGlobalStatistics(reviews);
-
-  try {
-    const existingGlobal = await client.getStatisticsMetaobjectBySku('_global_all_reviews');
-    const globalFields = transformStatisticsToMetaobject(globalStats);
-
-    if (existingGlobal) {
-      const result = await client.updateStatisticsMetaobject(
-        existingGlobal.id,
-        globalFields
-      );
-
-      if (result.userErrors && result.userErrors.length > 0) {
-        console.error('❌ Error updating global statistics:', result.userErrors);
-        errors++;
-      } else {
-        console.log(`✓ Updated global stats: ${globalStats.totalReviews} total reviews, ${globalStats.averageRating}⭐ average`);
-        updated++;
-      }
-    } else {
-      const result = await client.createStatisticsMetaobject(globalFields);
-
-      if (result.userErrors && result.userErrors.length > 0) {
-        console.error('❌ Error creating global statistics:', result.userErrors);
-        errors++;
-      } else {
-        console.log(`✓ Created global stats: ${globalStats.totalReviews} total reviews, ${globalStats.averageRating}⭐ average`);
-        created++;
-      }
+  keys.forEach(key => {
+    const productId = mapper.getProductIdBySku(key);
+    const name = productId ? `statistics for product ${key}` : `statistics for SKU ${key}`;
+    addStatisticsAction(plan, client, productStatistics[key], name, productId);
+  });
+
+  // A product whose reviews are all gone (deleted, deactivated, ...) keeps no statistics,
+  // so its rating metafields are cleared too
+  client.getCachedMetaobjects(STATISTICS_TYPE).forEach(([key, metaobject]) => {
+    if (productStatistics[key] || (selectedKeys && !selectedKeys.has(key)) || !isProductStatistics(key, metaobject)) {
+      return;
     }
-  } catch (error) {
-    console.error(`❌ Error processing global statistics:`, error.message);
-    errors++;
+
+    plan.addDelete({ type: STATISTICS_TYPE, key, metaobjectId: metaobject.id, label: `statistics for product ${key} (no reviews left)` });
+  });
+
+  // Global statistics only make sense over the full review set
+  if (skus) {
+    console.log('⊘ Skipping global statistics (--sku filter active)\n');
+  } else {
+    Object.keys(GLOBAL_STATISTICS_KEYS).forEach(scope => {
+      addStatisticsAction(plan, client, calculateGlobalStatistics(reviews, scope), `global ${scope} stats`);
+    });
   }
+}
+
+/**
+ * Key statistics are stored under (their product_sku): the numeric Shopify product ID
+ * when the SKU matches a product, so every variant SKU of it adds to the same statistics;
+ * otherwise the Yotpo SKU itself
+ */
+export function getStatisticsKey(sku, productMapper) {
+  const productId = productMapper.getProductIdBySku(sku);
+  return productId ? productMapper.extractNumericId(productId) : (sku || 'unknown');
+}
 
+/**
+ * Prints the statistics summary block and returns the counts
+ * @param {object|null} productMetafields - { updated, unchanged, errors } from
+ *   syncProductMetafields; its errors are added to the statistics errors
+ */
+export function printStatisticsSummary(counts = SyncPlan.emptyCounts(), dryRun = false, productMetafields = null) {
   console.log('\n' + '='.repeat(50));
-  console.log('Statistics Sync Complete!');
+  console.log(`Statistics Sync Complete!${dryRun ? ' (dry run - nothing written)' : ''}`);
   console.log('='.repeat(50));
-  console.log(`✓ Created: ${created}`);
-  console.log(`✓ Updated: ${updated}`);
-  console.log(`✗ Errors: ${errors}`);
-  console.log(`📊 Total: ${productSkus.length + 1} (${productSkus.length} products + 1 global)`);
+  console.log(`✓ Created: ${counts.created}`);
+  console.log(`✓ Updated: ${counts.updated}`);
+  console.log(`🗑 Deleted: ${counts.deleted}`);
+  console.log(`= Unchanged: ${counts.unchanged}`);
+  console.log(`✗ Errors: ${counts.errors}`);
+  if (productMetafields) {
+    console.log(`🔗 Product metafields: ${productMetafields.updated} updated, ${productMetafields.unchanged} unchanged, ${productMetafields.errors} errors`);
+  }
   console.log('='.repeat(50));
 
-  return { created, updated, errors };
+  if (!productMetafields) {
+    return counts;
+  }
+
+  return { ...counts, errors: counts.errors + productMetafields.errors, productMetafields };
 }
 
-// Allow running as standalone script
-if (import.meta.url === `file://${process.argv[1]}`) {
-  syncReviewStatistics()
-    .then(() => {
-      console.log('\n✓ Statistics sync completed successfully!');
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('\n❌ Statistics sync failed:', error.message);
-      console.error(error.stack);
-      process.exit(1);
-    });
+/**
+ * Statistics of a Shopify product (stored under its numeric ID); global statistics and
+ * ones kept under a plain SKU are left to `prune`
+ */
+function isProductStatistics(key, metaobject) {
+  const fields = Object.fromEntries(metaobject.fields.map(field => [field.key, field.value]));
+  return fields.scope === 'product' && Boolean(fields.product_reference) && fields.product_reference.split('/').pop() === key;
+}
+
+function addStatisticsAction(plan, client, stats, name, productId = null) {
+  const existing = client.getCachedMetaobject(STATISTICS_TYPE, stats.productSku);
+
+  return plan.addUpsert({
+    type: STATISTICS_TYPE,
+    key: stats.productSku,
+    fields: transformStatisticsToMetaobject(stats, productId),
+    existing,
+    label: `${name} (${stats.totalReviews} reviews, ${stats.averageRating}⭐)`,
+  });
 }
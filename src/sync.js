@@ -1,385 +1,585 @@
-import 'dotenv/config';
 import { YotpoClient } from './clients/yotpo-client.js';
 import { ShopifyClient } from './clients/shopify-client.js';
 import { ProductMapper } from './utils/product-mapper.js';
 import { SyncCache } from './utils/sync-cache.js';
 import { transformYotpoReview, shouldSyncReview } from './transformers/review-transformer.js';
-import { calculateReviewStatistics, calculateGlobalStatistics, transformStatisticsToMetaobject } from './transformers/statistics-calculator.js';
-
-async function syncReviews() {
-  console.log('Starting Yotpo → Shopify Review Sync');
+import { transformYotpoQuestion, shouldSyncQuestion, getQuestionSku } from './transformers/question-transformer.js';
+import { SyncPlan, DEFAULT_CONCURRENCY } from './utils/sync-plan.js';
+import { planStatistics, printStatisticsSummary } from './sync-statistics.js';
+import { syncProductMetafields } from './sync-product-metafields.js';
+import { planRemovals, planQuestionRemovals } from './sync-removals.js';
+import { SyncCheckpoint } from './utils/sync-checkpoint.js';
+import { MediaUploader } from './utils/media-uploader.js';
+import { RetryPolicy } from './utils/retry-policy.js';
+import { assertSchema } from './utils/schema-check.js';
+
+const QUESTION_TYPE = 'yotpo_product_question';
+
+/**
+ * Syncs Yotpo reviews and product questions (and then statistics) to Shopify metaobjects.
+ * Progress is checkpointed while running; `resume` continues an interrupted run
+ * with its original options instead of starting over.
+ * @param {object} options - { dryRun, since, skus, limit, savePlan, removalPolicy, full, overlapMinutes, resume, bulk, concurrency }
+ * @returns {object} - Summary of the run; `errors` is the total failure count
+ */
+export async function syncReviews(options = {}) {
+  const { dryRun = false, savePlan = null, resume = false, concurrency = DEFAULT_CONCURRENCY } = options;
+
+  console.log(`Starting Yotpo → Shopify Review Sync${dryRun ? ' (dry run)' : ''}`);
   console.log('='.repeat(70) + '\n');
 
   // Initialize clients
-  const yotpoClient = new YotpoClient(
-    process.env.YOTPO_APP_KEY,
-    process.env.YOTPO_APP_SECRET
-  );
+  const yotpoClient = YotpoClient.fromEnv();
+  const shopifyClient = ShopifyClient.fromEnv(process.env, { bulk: options.bulk });
 
-  const shopifyClient = new ShopifyClient(
-    process.env.SHOPIFY_SHOP_URL,
-    process.env.SHOPIFY_ACCESS_TOKEN,
-    process.env.SHOPIFY_API_VERSION || '2025-07'
-  );
+  // Fail before fetching anything if Shopify can't take the fields we write
+  await assertSchema(shopifyClient);
 
   const productMapper = new ProductMapper(shopifyClient);
   const syncCache = new SyncCache();
+  const checkpoint = new SyncCheckpoint({ syncCache, enabled: !dryRun });
+
+  const saved = dryRun ? null : checkpoint.load();
+  if (resume && !saved) {
+    console.log('📝 No checkpoint found, starting a fresh sync\n');
+  } else if (saved && !resume) {
+    console.log(`⚠️  Discarding checkpoint of the sync started ${saved.startedAt} (use --resume to continue it)\n`);
+  }
+
+  const resumed = resume ? saved : null;
+  if (resumed) {
+    console.log(`♻️  Resuming sync started ${resumed.startedAt} at the ${resumed.phase} phase, with its original options\n`);
+  }
+
+  const {
+    since = null,
+    skus = null,
+    limit = null,
+    removalPolicy = 'deactivate',
+    full = false,
+    overlapMinutes = 60,
+  } = resumed ? resumed.options : options;
 
   // Stats tracking
-  const stats = {
+  const stats = resumed?.stats || {
+    fetchMode: 'full',
     total: 0,
     filtered: 0,
     cached: 0,
-    productReviews: {
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: 0,
-    },
-    brandReviews: {
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: 0,
+    removed: 0,
+    productReviews: SyncPlan.emptyCounts(),
+    brandReviews: SyncPlan.emptyCounts(),
+    questions: {
+      total: 0,
+      cached: 0,
+      removed: 0,
     },
+    productQuestions: SyncPlan.emptyCounts(),
     skuMatches: {
       matched: 0,
       notFound: 0,
     },
+    media: {
+      uploaded: 0,
+      skipped: 0,
+      errors: 0,
+      toUpload: 0,
+    },
   };
 
-  try {
-    // Step 1: Fetch all reviews from Yotpo
-    console.log('📥 Step 1: Fetching reviews from Yotpo...');
-    const allReviews = await yotpoClient.fetchAllReviewsPaginated();
-    stats.total = allReviews.length;
-    console.log(`✓ Fetched ${stats.total} reviews\n`);
-
-    // Step 2: Filter active reviews only
-    console.log('🔍 Step 2: Filtering active reviews...');
-    const activeReviews = allReviews.filter(shouldSyncReview);
-    stats.filtered = allReviews.length - activeReviews.length;
-    console.log(`✓ ${activeReviews.length} active reviews (filtered ${stats.filtered} inactive)\n`);
-
-    if (activeReviews.length === 0) {
-      console.log('No active reviews to sync. Exiting.');
-      return;
+  stats.resumed = Boolean(resumed);
+
+  // Step 1: Fetch reviews from Yotpo - only those changed since the last sync, when possible
+  const fetchSince = resumed ? resumed.fetchSince : (full ? null : syncCache.getIncrementalSince(overlapMinutes));
+  const fetchedAt = resumed ? resumed.fetchedAt : new Date().toISOString();
+  const isIncremental = Boolean(fetchSince);
+  stats.fetchMode = isIncremental ? 'incremental' : 'full';
+
+  if (!resumed) {
+    checkpoint.start({
+      options: { since, skus, limit, removalPolicy, full, overlapMinutes },
+      fetchSince,
+      fetchedAt,
+    });
+  }
+
+  console.log(`📥 Step 1: Fetching reviews from Yotpo (${stats.fetchMode})...`);
+  const fetchedReviews = await fetchReviews(yotpoClient, checkpoint, resumed, fetchSince);
+
+  // Retry reviews earlier runs fetched but could not sync; Yotpo won't return them again
+  const allReviews = isIncremental
+    ? mergeReviews(syncCache.getPendingReviews(), fetchedReviews)
+    : fetchedReviews;
+  stats.total = allReviews.length;
+  console.log(`✓ Fetched ${fetchedReviews.length} reviews${allReviews.length > fetchedReviews.length ? ` (+${allReviews.length - fetchedReviews.length} pending from earlier runs)` : ''}\n`);
+
+  // Step 2: Filter active reviews only
+  console.log('🔍 Step 2: Filtering active reviews...');
+  const activeReviews = allReviews.filter(shouldSyncReview);
+  stats.filtered = allReviews.length - activeReviews.length;
+  console.log(`✓ ${activeReviews.length} active reviews (filtered ${stats.filtered} inactive)\n`);
+
+  // Statistics need every active review, so they come from the cache's snapshots
+  syncCache.updateSnapshots(allReviews, shouldSyncReview, !isIncremental);
+  const statisticsReviews = syncCache.getSnapshots();
+
+  // A resumed apply continues the stored plan; anything else plans from scratch
+  const resumingPlan = Boolean(resumed) && resumed.phase !== 'fetch';
+  const plan = resumingPlan
+    ? checkpoint.loadPlan()
+    : new SyncPlan({ source: 'sync', shop: shopifyClient.shopUrl, createdAt: fetchedAt });
+
+  if (resumingPlan) {
+    console.log('📝 Resuming the interrupted plan...');
+    for (const type of new Set(plan.actions.map(action => action.type))) {
+      await shopifyClient.buildMetaobjectCache(type);
+    }
+    // Writes made after the last checkpoint are found here instead of repeated
+    plan.rebase(shopifyClient);
+    const done = plan.actions.filter(action => action.done).length;
+    console.log(`✓ ${done} of ${plan.actions.length} actions were applied before the interruption\n`);
+  } else {
+    // Step 2.1: Find reviews that were synced before but are gone from Yotpo
+    if (removalPolicy !== 'ignore') {
+      console.log('🗑  Step 2.1: Checking for reviews removed in Yotpo...');
+      stats.removed = await planRemovals(plan, allReviews, shopifyClient, {
+        policy: removalPolicy,
+        skus,
+        // Reviews missing from an incremental fetch are just unchanged
+        detectMissing: !isIncremental,
+      });
+      console.log(`✓ ${stats.removed} removed reviews found in Shopify (policy: ${removalPolicy})\n`);
     }
 
     // Step 2.5: Check cache to find changed/new reviews
     console.log('💾 Step 2.5: Checking cache for changes...');
-    const reviewsToSync = activeReviews.filter(review => syncCache.needsSync(review));
-    stats.cached = activeReviews.length - reviewsToSync.length;
+    const selectedReviews = activeReviews.filter(review => matchesFilters(review, { since, skus }));
+    if (selectedReviews.length < activeReviews.length) {
+      console.log(`  ${selectedReviews.length} reviews match --since/--sku filters`);
+    }
+
+    let reviewsToSync = selectedReviews.filter(review => syncCache.needsSync(review));
+    stats.cached = selectedReviews.length - reviewsToSync.length;
+
+    if (limit && reviewsToSync.length > limit) {
+      console.log(`  Limiting to the first ${limit} of ${reviewsToSync.length} changed reviews`);
+      reviewsToSync = reviewsToSync.slice(0, limit);
+    }
     console.log(`✓ ${reviewsToSync.length} reviews need syncing (${stats.cached} unchanged)\n`);
 
-    if (reviewsToSync.length === 0) {
-      console.log('✨ All reviews are up to date! No sync needed.');
-      syncCache.updateLastSyncTime();
-      syncCache.saveCache();
-      return;
+    // Step 2.6: Questions are few, so they are fetched in full and diffed against the cache
+    console.log('❓ Step 2.6: Fetching questions from Yotpo...');
+    const allQuestions = await yotpoClient.fetchAllQuestionsPaginated();
+    const questions = allQuestions
+      .filter(shouldSyncQuestion)
+      .filter(question => matchesFilters({ ...question, sku: getQuestionSku(question) }, { since, skus }));
+    const questionsToSync = questions.filter(question => syncCache.questionNeedsSync(question));
+    stats.questions = { total: questions.length, cached: questions.length - questionsToSync.length, removed: 0 };
+    console.log(`✓ ${questionsToSync.length} questions need syncing (${stats.questions.cached} unchanged)`);
+
+    // Questions are always fetched in full, so missing ones are gone from Yotpo
+    if (removalPolicy !== 'ignore') {
+      stats.questions.removed = await planQuestionRemovals(plan, allQuestions, shopifyClient, {
+        policy: removalPolicy,
+        skus,
+      });
+      console.log(`✓ ${stats.questions.removed} removed questions found in Shopify (policy: ${removalPolicy})`);
     }
+    console.log('');
 
-    // Step 3: Build product SKU cache
-    console.log('📦 Step 3: Building product SKU → Product ID cache...');
-    await productMapper.buildProductCache();
-    const cacheStats = productMapper.getCacheStats();
-    console.log(`✓ Ready to map reviews to products\n`);
+    // Time windows move on even when no review changed, so statistics are planned on every run
+    let statisticsPlanned = false;
+
+    if (reviewsToSync.length === 0 && questionsToSync.length === 0 && !plan.hasChanges()) {
+      console.log('✨ All reviews and questions are up to date!\n');
+      await planStatistics(plan, statisticsReviews, shopifyClient, { skus, productMapper });
+      statisticsPlanned = true;
+    }
+
+    if (statisticsPlanned && !plan.hasChanges()) {
+      console.log('✨ Statistics are up to date too. No sync needed.');
+      if (!dryRun) {
+        syncCache.setPendingReviews(activeReviews.filter(review => syncCache.needsSync(review)));
+        syncCache.updateLastSyncTime(fetchedAt);
+        syncCache.saveCache();
+        checkpoint.complete();
+      }
+      return buildSummary(stats, null, dryRun, getRetryCounts(yotpoClient, shopifyClient));
+    }
 
-    // Step 4: Separate reviews by type
-    console.log('📊 Step 4: Categorizing reviews...');
+    // Step 3: Separate reviews by type
+    console.log('📊 Step 3: Categorizing reviews...');
     const productReviews = reviewsToSync.filter(r => r.sku !== 'yotpo_site_reviews');
     const brandReviews = reviewsToSync.filter(r => r.sku === 'yotpo_site_reviews');
     console.log(`✓ Product reviews: ${productReviews.length}`);
     console.log(`✓ Brand reviews: ${brandReviews.length}\n`);
 
-    // Step 5: Sync product reviews
+    // Step 4: Build product SKU cache
+    if (productReviews.length > 0 || questionsToSync.length > 0) {
+      console.log('📦 Step 4: Building product SKU → Product ID cache...');
+      await productMapper.buildProductCache();
+      console.log(`✓ Ready to map reviews and questions to products\n`);
+    }
+
+    // Step 4.5: Copy review photos and videos to Shopify Files (each file once)
+    const mediaUploader = new MediaUploader(shopifyClient, syncCache, {
+      retry: RetryPolicy.optionsFromEnv(process.env, 'YOTPO'),
+    });
+    const mediaReviews = [
+      ...productReviews.filter(review => productMapper.getProductIdBySku(review.sku)),
+      ...brandReviews,
+    ];
+    const missingMedia = mediaUploader.getMissing(mediaReviews);
+
+    if (missingMedia.length > 0) {
+      console.log(`🖼  Step 4.5: Uploading ${missingMedia.length} review photos/videos to Shopify Files...`);
+
+      if (dryRun) {
+        stats.media.toUpload = missingMedia.length;
+        console.log('✓ Skipped in dry run (reviews are planned with already uploaded media only)\n');
+      } else {
+        Object.assign(stats.media, await mediaUploader.uploadAll(mediaReviews, { concurrency }));
+        syncCache.saveCache({ quiet: true });
+        console.log(`✓ ${stats.media.uploaded} uploaded, ${stats.media.skipped} skipped, ${stats.media.errors} failed\n`);
+      }
+    }
+
+    // Step 5: Plan every write before touching Shopify
+    console.log('📝 Step 5: Planning changes...');
+
     if (productReviews.length > 0) {
-      console.log('='.repeat(70));
+      await shopifyClient.buildMetaobjectCache('yotpo_product_review');
+    }
+    if (brandReviews.length > 0) {
+      await shopifyClient.buildMetaobjectCache('yotpo_brand_review');
+    }
+
+    productReviews.forEach(review => {
+      const label = `Review #${review.id} (${review.score}⭐) - SKU: ${review.sku}`;
+
+      // Lookup Shopify product by SKU
+      const productId = productMapper.getProductIdBySku(review.sku);
+
+      if (!productId) {
+        plan.addSkip({ type: 'yotpo_product_review', key: review.id, label, reason: 'sku_not_found' });
+        stats.skuMatches.notFound++;
+        return;
+      }
+
+      stats.skuMatches.matched++;
+      addReviewAction(plan, shopifyClient, syncCache, mediaUploader, 'yotpo_product_review', review, productId, label);
+    });
+
+    brandReviews.forEach(review => {
+      // No product ID for brand reviews
+      const label = `Review #${review.id} (${review.score}⭐) - Brand review`;
+      addReviewAction(plan, shopifyClient, syncCache, mediaUploader, 'yotpo_brand_review', review, null, label);
+    });
+
+    if (questionsToSync.length > 0) {
+      await shopifyClient.buildMetaobjectCache(QUESTION_TYPE);
+    }
+
+    questionsToSync.forEach(question => {
+      const sku = getQuestionSku(question);
+      const label = `Question #${question.id} - SKU: ${sku}`;
+      const productId = productMapper.getProductIdBySku(sku);
+
+      if (!productId) {
+        plan.addSkip({ type: QUESTION_TYPE, key: question.id, label, reason: 'sku_not_found' });
+        return;
+      }
+
+      plan.addUpsert({
+        type: QUESTION_TYPE,
+        key: question.id,
+        fields: transformYotpoQuestion(question, productId).fields,
+        existing: shopifyClient.getCachedMetaobject(QUESTION_TYPE, question.id),
+        label,
+        hash: syncCache.createQuestionHash(question),
+        // Republish questions we unpublished when they were removed, now that they are back
+        status: syncCache.getRemovedPolicy(question.id, QUESTION_TYPE) === 'unpublish' ? 'ACTIVE' : null,
+      });
+    });
+
+    // Statistics are planned from every active review, not just the changed ones
+    if (!statisticsPlanned) {
+      await planStatistics(plan, statisticsReviews, shopifyClient, { skus, productMapper });
+    }
+
+    checkpoint.startApply(plan, stats);
+  }
+
+  if (dryRun) {
+    plan.print();
+  }
+
+  if (savePlan) {
+    plan.setFetchedReviews(allReviews, !isIncremental);
+    plan.save(savePlan);
+  }
+
+  if (!dryRun) {
+    const onProgress = index => checkpoint.recordDone(index);
+
+    // Step 5a: Sync product reviews
+    if (plan.hasChanges('yotpo_product_review')) {
+      console.log('\n' + '='.repeat(70));
       console.log('🛍️  Step 5a: Syncing Product Reviews');
       console.log('='.repeat(70) + '\n');
 
-      for (let i = 0; i < productReviews.length; i++) {
-        const review = productReviews[i];
-        const progress = `[${i + 1}/${productReviews.length}]`;
-
-        try {
-          // Lookup Shopify product by SKU
-          const productId = productMapper.getProductIdBySku(review.sku);
-
-          if (!productId) {
-            console.log(`${progress} ⚠️  SKU not found: ${review.sku} (Review #${review.id}) - skipping`);
-            stats.productReviews.skipped++;
-            stats.skuMatches.notFound++;
-            continue;
-          }
-
-          stats.skuMatches.matched++;
-
-          // Transform review data
-          const { fields } = transformYotpoReview(review, productId);
-
-          // Upsert metaobject
-          const { result, operation } = await shopifyClient.upsertMetaobject(
-            'yotpo_product_review',
-            review.id,
-            fields
-          );
-
-          if (result.userErrors && result.userErrors.length > 0) {
-            console.log(`${progress} ❌ Error: Review #${review.id}`);
-            result.userErrors.forEach(err => {
-              console.log(`     ${err.message}`);
-            });
-            stats.productReviews.errors++;
-          } else {
-            const emoji = operation === 'created' ? '✓' : '↻';
-            console.log(`${progress} ${emoji} ${operation.charAt(0).toUpperCase() + operation.slice(1)}: Review #${review.id} (${review.score}⭐) - SKU: ${review.sku}`);
-            stats.productReviews[operation]++;
-
-            // Mark as synced in cache
-            syncCache.markSynced(review);
-          }
-
-          // Rate limiting: pause every 50 requests
-          if ((i + 1) % 50 === 0) {
-            console.log(`\n⏳ Pausing for rate limiting (processed ${i + 1}/${productReviews.length})...\n`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-        } catch (error) {
-          console.log(`${progress} ❌ Exception: Review #${review.id} - ${error.message}`);
-          stats.productReviews.errors++;
-        }
-      }
+      const counts = await plan.apply({ shopifyClient, syncCache, types: ['yotpo_product_review'], onProgress, concurrency });
+      addCounts(stats.productReviews, counts.yotpo_product_review);
     }
 
-    // Step 6: Sync brand reviews
-    if (brandReviews.length > 0) {
+    // Step 5b: Sync brand reviews
+    if (plan.hasChanges('yotpo_brand_review')) {
       console.log('\n' + '='.repeat(70));
       console.log('🏢 Step 5b: Syncing Brand Reviews');
       console.log('='.repeat(70) + '\n');
 
-      for (let i = 0; i < brandReviews.length; i++) {
-        const review = brandReviews[i];
-        const progress = `[${i + 1}/${brandReviews.length}]`;
-
-        try {
-          // Transform review data (no product ID for brand reviews)
-          const { fields } = transformYotpoReview(review);
-
-          // Upsert metaobject
-          const { result, operation } = await shopifyClient.upsertMetaobject(
-            'yotpo_brand_review',
-            review.id,
-            fields
-          );
-
-          if (result.userErrors && result.userErrors.length > 0) {
-            console.log(`${progress} ❌ Error: Review #${review.id}`);
-            result.userErrors.forEach(err => {
-              console.log(`     ${err.message}`);
-            });
-            stats.brandReviews.errors++;
-          } else {
-            const emoji = operation === 'created' ? '✓' : '↻';
-            console.log(`${progress} ${emoji} ${operation.charAt(0).toUpperCase() + operation.slice(1)}: Review #${review.id} (${review.score}⭐) - Brand review`);
-            stats.brandReviews[operation]++;
-
-            // Mark as synced in cache
-            syncCache.markSynced(review);
-          }
-
-          // Rate limiting: pause every 50 requests
-          if ((i + 1) % 50 === 0) {
-            console.log(`\n⏳ Pausing for rate limiting (processed ${i + 1}/${brandReviews.length})...\n`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-        } catch (error) {
-          console.log(`${progress} ❌ Exception: Review #${review.id} - ${error.message}`);
-          stats.brandReviews.errors++;
-        }
-      }
+      const counts = await plan.apply({ shopifyClient, syncCache, types: ['yotpo_brand_review'], onProgress, concurrency });
+      addCounts(stats.brandReviews, counts.yotpo_brand_review);
     }
 
-    // Final Summary
-    console.log('\n' + '='.repeat(70));
-    console.log('📊 SYNC COMPLETE');
-    console.log('='.repeat(70));
-
-    console.log('\n📥 Yotpo Reviews:');
-    console.log(`  Total fetched: ${stats.total}`);
-    console.log(`  Active: ${activeReviews.length}`);
-    console.log(`  Filtered out: ${stats.filtered}`);
-    console.log(`  💾 Cached (unchanged): ${stats.cached}`);
-
-    console.log('\n🛍️  Product Reviews:');
-    console.log(`  ✓ Created: ${stats.productReviews.created}`);
-    console.log(`  ↻ Updated: ${stats.productReviews.updated}`);
-    console.log(`  ⊘ Skipped: ${stats.productReviews.skipped}`);
-    console.log(`  ✗ Errors: ${stats.productReviews.errors}`);
-
-    console.log('\n🏢 Brand Reviews:');
-    console.log(`  ✓ Created: ${stats.brandReviews.created}`);
-    console.log(`  ↻ Updated: ${stats.brandReviews.updated}`);
-    console.log(`  ⊘ Skipped: ${stats.brandReviews.skipped}`);
-    console.log(`  ✗ Errors: ${stats.brandReviews.errors}`);
-
-    console.log('\n🔗 SKU Matching:');
-    console.log(`  ✓ Matched: ${stats.skuMatches.matched}`);
-    console.log(`  ✗ Not found: ${stats.skuMatches.notFound}`);
-
-    const totalCreated = stats.productReviews.created + stats.brandReviews.created;
-    const totalUpdated = stats.productReviews.updated + stats.brandReviews.updated;
-    const totalSkipped = stats.productReviews.skipped + stats.brandReviews.skipped;
-    const totalErrors = stats.productReviews.errors + stats.brandReviews.errors;
-
-    console.log('\n📈 Overall:');
-    console.log(`  ✓ Created: ${totalCreated}`);
-    console.log(`  ↻ Updated: ${totalUpdated}`);
-    console.log(`  ⊘ Skipped: ${totalSkipped}`);
-    console.log(`  ✗ Errors: ${totalErrors}`);
-
-    console.log('\n' + '='.repeat(70));
-
-    if (stats.skuMatches.notFound > 0) {
-      console.log('\n⚠️  Warning: Some reviews were skipped due to SKU mismatches.');
-      console.log('   Check that Yotpo SKUs match Shopify product variant SKUs.');
-    }
+    // Step 5c: Sync product questions
+    if (plan.hasChanges(QUESTION_TYPE)) {
+      console.log('\n' + '='.repeat(70));
+      console.log('❓ Step 5c: Syncing Product Questions');
+      console.log('='.repeat(70) + '\n');
 
-    if (totalErrors > 0) {
-      console.log('\n⚠️  Warning: Some reviews failed to sync. Review errors above.');
+      const counts = await plan.apply({ shopifyClient, syncCache, types: [QUESTION_TYPE], onProgress, concurrency });
+      addCounts(stats.productQuestions, counts[QUESTION_TYPE]);
     }
+  } else {
+    const planned = plan.summarize();
+    stats.productReviews = planned.yotpo_product_review || SyncPlan.emptyCounts();
+    stats.brandReviews = planned.yotpo_brand_review || SyncPlan.emptyCounts();
+    stats.productQuestions = planned[QUESTION_TYPE] || SyncPlan.emptyCounts();
+  }
+
+  // Final Summary
+  console.log('\n' + '='.repeat(70));
+  console.log(`📊 SYNC COMPLETE${dryRun ? ' (dry run - nothing written)' : ''}`);
+  console.log('='.repeat(70));
+
+  console.log('\n📥 Yotpo Reviews:');
+  console.log(`  Total fetched: ${stats.total} (${stats.fetchMode})`);
+  console.log(`  Active: ${activeReviews.length}`);
+  console.log(`  Filtered out: ${stats.filtered}`);
+  console.log(`  💾 Cached (unchanged): ${stats.cached}`);
+  console.log(`  🗑  Removed in Yotpo: ${stats.removed} (policy: ${removalPolicy})`);
+
+  console.log('\n🛍️  Product Reviews:');
+  printReviewCounts(stats.productReviews);
+
+  console.log('\n🏢 Brand Reviews:');
+  printReviewCounts(stats.brandReviews);
+
+  console.log('\n❓ Product Questions:');
+  console.log(`  Fetched: ${stats.questions.total} (${stats.questions.cached} unchanged)`);
+  console.log(`  🗑  Removed in Yotpo: ${stats.questions.removed} (policy: ${removalPolicy})`);
+  printReviewCounts(stats.productQuestions);
+
+  console.log('\n🔗 SKU Matching:');
+  console.log(`  ✓ Matched: ${stats.skuMatches.matched}`);
+  console.log(`  ✗ Not found: ${stats.skuMatches.notFound}`);
+
+  console.log('\n🖼  Review Media:');
+  if (dryRun) {
+    console.log(`  Would upload: ${stats.media.toUpload}`);
+  } else {
+    console.log(`  ✓ Uploaded: ${stats.media.uploaded}`);
+    console.log(`  ⊘ Skipped: ${stats.media.skipped}`);
+    console.log(`  ✗ Errors: ${stats.media.errors}`);
+  }
 
-    // Save cache
-    syncCache.updateLastSyncTime();
-    syncCache.saveCache();
+  const retries = getRetryCounts(yotpoClient, shopifyClient);
+  console.log('\n🔁 Retries:');
+  console.log(`  Yotpo: ${retries.yotpo}`);
+  console.log(`  Shopify: ${retries.shopify} (+${retries.shopifyThrottled} throttled)`);
 
-    console.log('\n✅ Review sync completed successfully!\n');
+  const overall = SyncPlan.emptyCounts();
+  Object.keys(overall).forEach(key => {
+    overall[key] = stats.productReviews[key] + stats.brandReviews[key];
+  });
 
-    // Step 7: Sync aggregated statistics
-    console.log('='.repeat(70));
-    console.log('📊 Step 6: Syncing Aggregated Statistics');
-    console.log('='.repeat(70) + '\n');
+  console.log('\n📈 Overall:');
+  printReviewCounts(overall);
 
-    await syncStatistics(activeReviews, shopifyClient);
+  console.log('\n' + '='.repeat(70));
 
-    console.log('\n✅ Full sync completed successfully!\n');
+  if (stats.skuMatches.notFound > 0) {
+    console.log('\n⚠️  Warning: Some reviews were skipped due to SKU mismatches.');
+    console.log('   Check that Yotpo SKUs match Shopify product variant SKUs.');
+  }
+
+  if (overall.errors > 0) {
+    console.log('\n⚠️  Warning: Some reviews failed to sync. Review errors above.');
+  }
+
+  if (stats.productQuestions.errors > 0) {
+    console.log('\n⚠️  Warning: Some questions failed to sync. They are retried next run.');
+  }
+
+  if (stats.media.errors > 0) {
+    console.log('\n⚠️  Warning: Some review media failed to upload. Those reviews are retried next run.');
+  }
 
-  } catch (error) {
-    console.error('\n❌ Sync failed:', error.message);
-    console.error(error.stack);
-    process.exit(1);
+  if (dryRun) {
+    const statisticsResult = printStatisticsSummary(plan.summarize().yotpo_review_statistics, true);
+    return buildSummary(stats, statisticsResult, dryRun, getRetryCounts(yotpoClient, shopifyClient));
   }
+
+  // Save cache; anything still unsynced is retried next run
+  syncCache.setPendingReviews(activeReviews.filter(review => syncCache.needsSync(review)));
+
+  // Same rule as apply: removals that failed aren't pending, so they need the fetch again
+  const writeErrors = overall.errors + stats.productQuestions.errors;
+  if (writeErrors === 0) {
+    syncCache.updateLastSyncTime(fetchedAt);
+  } else {
+    console.log(`\n⚠️  ${writeErrors} writes failed; the last sync time is left as it was so they are fetched again`);
+  }
+  syncCache.saveCache();
+  checkpoint.setPhase('statistics');
+
+  console.log(`\n${overall.errors > 0 ? '⚠️  Review sync completed with errors' : '✅ Review sync completed successfully!'}\n`);
+
+  // Step 6: Sync aggregated statistics
+  console.log('='.repeat(70));
+  console.log('📊 Step 6: Syncing Aggregated Statistics');
+  console.log('='.repeat(70) + '\n');
+
+  const statisticsCounts = await plan.apply({
+    shopifyClient,
+    types: ['yotpo_review_statistics'],
+    onProgress: index => checkpoint.recordDone(index),
+    concurrency,
+  });
+  const productMetafields = await syncProductMetafields(shopifyClient, { concurrency });
+  const statisticsResult = printStatisticsSummary(statisticsCounts.yotpo_review_statistics, false, productMetafields);
+  checkpoint.complete();
+
+  return buildSummary(stats, statisticsResult, dryRun, getRetryCounts(yotpoClient, shopifyClient));
 }
 
-async function syncStatistics(reviews, shopifyClient) {
-  const statsClient = new ShopifyClient(
-    process.env.SHOPIFY_SHOP_URL,
-    process.env.SHOPIFY_ACCESS_TOKEN,
-    process.env.SHOPIFY_API_VERSION || '2025-07'
-  );
-
-  let statsCreated = 0;
-  let statsUpdated = 0;
-  let statsErrors = 0;
-
-  try {
-    // Calculate per-product statistics
-    const productStatistics = calculateReviewStatistics(reviews);
-    const productSkus = Object.keys(productStatistics);
-
-    console.log(`📊 Calculated statistics for ${productSkus.length} products`);
-
-    // Sync per-product statistics
-    for (let i = 0; i < productSkus.length; i++) {
-      const sku = productSkus[i];
-      const stats = productStatistics[sku];
-      const progress = `[${i + 1}/${productSkus.length}]`;
-
-      try {
-        const existingMetaobject = await statsClient.getStatisticsMetaobjectBySku(sku);
-        const metaobjectFields = transformStatisticsToMetaobject(stats);
-
-        if (existingMetaobject) {
-          const result = await statsClient.updateStatisticsMetaobject(
-            existingMetaobject.id,
-            metaobjectFields
-          );
-
-          if (result.userErrors && result.userErrors.length > 0) {
-            console.log(`${progress} ❌ Error updating stats for SKU ${sku}`);
-            statsErrors++;
-          } else {
-            console.log(`${progress} ↻ Updated stats: ${sku} (${stats.totalReviews} reviews, ${stats.averageRating}⭐)`);
-            statsUpdated++;
-          }
-        } else {
-          const result = await statsClient.createStatisticsMetaobject(metaobjectFields);
-
-          if (result.userErrors && result.userErrors.length > 0) {
-            console.log(`${progress} ❌ Error creating stats for SKU ${sku}`);
-            statsErrors++;
-          } else {
-            console.log(`${progress} ✓ Created stats: ${sku} (${stats.totalReviews} reviews, ${stats.averageRating}⭐)`);
-            statsCreated++;
-          }
-        }
-      } catch (error) {
-        console.log(`${progress} ❌ Exception for SKU ${sku}: ${error.message}`);
-        statsErrors++;
-      }
-    }
+/**
+ * Adds a create/update action for one review, diffed against the cached metaobject
+ */
+function addReviewAction(plan, shopifyClient, syncCache, mediaUploader, type, review, productId, label) {
+  const { fileIds, complete } = mediaUploader.getFileIds(review);
+  const { fields } = transformYotpoReview(review, productId, fileIds);
+
+  return plan.addUpsert({
+    type,
+    key: review.id,
+    fields,
+    existing: shopifyClient.getCachedMetaobject(type, review.id),
+    label,
+    // Without a hash the review stays unsynced, so a run that uploads its missing media updates it
+    hash: complete ? syncCache.createReviewHash(review) : null,
+    // Republish reviews we unpublished when they were removed, now that they are back
+    status: syncCache.getRemovedPolicy(review.id) === 'unpublish' ? 'ACTIVE' : null,
+  });
+}
 
-    // Calculate and sync global statistics (all reviews combined)
-    console.log('\n📊 Calculating global statistics (all reviews)...');
-    const globalStats = calculateGlobalStatistics(reviews);
-
-    try {
-      const existingGlobal = await statsClient.getStatisticsMetaobjectBySku('_global_all_reviews');
-      const globalFields = transformStatisticsToMetaobject(globalStats);
-
-      if (existingGlobal) {
-        const result = await statsClient.updateStatisticsMetaobject(
-          existingGlobal.id,
-          globalFields
-        );
-
-        if (result.userErrors && result.userErrors.length > 0) {
-          console.log('❌ Error updating global statistics');
-          statsErrors++;
-        } else {
-          console.log(`✓ Updated global stats: ${globalStats.totalReviews} total reviews, ${globalStats.averageRating}⭐ average`);
-          statsUpdated++;
-        }
-      } else {
-        const result = await statsClient.createStatisticsMetaobject(globalFields);
-
-        if (result.userErrors && result.userErrors.length > 0) {
-          console.log('❌ Error creating global statistics');
-          statsErrors++;
-        } else {
-          console.log(`✓ Created global stats: ${globalStats.totalReviews} total reviews, ${globalStats.averageRating}⭐ average`);
-          statsCreated++;
-        }
-      }
-    } catch (error) {
-      console.log(`❌ Exception syncing global stats: ${error.message}`);
-      statsErrors++;
+/**
+ * Fetches reviews from Yotpo, recording each page in the checkpoint. A resumed
+ * run starts from the reviews fetched before the interruption.
+ */
+async function fetchReviews(yotpoClient, checkpoint, resumed, fetchSince) {
+  const fetched = resumed ? checkpoint.loadFetchedReviews() : [];
+
+  if (resumed && resumed.phase !== 'fetch') {
+    console.log(`Reusing ${fetched.length} reviews fetched before the interruption`);
+    return fetched;
+  }
+
+  if (fetched.length > 0) {
+    console.log(`${fetched.length} reviews were fetched before the interruption`);
+  }
+
+  const reviews = await yotpoClient.fetchAllReviewsPaginated({ sinceUpdatedAt: fetchSince }, {
+    startPage: resumed ? resumed.nextPage : 1,
+    onPage: (page, pageReviews) => checkpoint.recordPage(page, pageReviews),
+  });
+
+  return mergeReviews(fetched, reviews);
+}
+
+function printReviewCounts(counts) {
+  console.log(`  ✓ Created: ${counts.created}`);
+  console.log(`  ↻ Updated: ${counts.updated}`);
+  console.log(`  🗑 Deleted: ${counts.deleted}`);
+  console.log(`  = Unchanged: ${counts.unchanged}`);
+  console.log(`  ⊘ Skipped: ${counts.skipped}`);
+  console.log(`  ✗ Errors: ${counts.errors}`);
+}
+
+/**
+ * Merges review lists by ID; later lists win
+ */
+function mergeReviews(...lists) {
+  const byId = new Map();
+  lists.flat().forEach(review => byId.set(review.id.toString(), review));
+  return [...byId.values()];
+}
+
+/**
+ * Checks a review against the --since and --sku CLI filters
+ */
+function matchesFilters(review, { since, skus }) {
+  if (skus && !skus.includes(review.sku)) {
+    return false;
+  }
+
+  if (since) {
+    const changedAt = new Date(review.updated_at || review.created_at);
+    if (!(changedAt >= since)) {
+      return false;
     }
+  }
 
-    // Statistics summary
-    console.log('\n' + '='.repeat(70));
-    console.log('📊 STATISTICS SYNC COMPLETE');
-    console.log('='.repeat(70));
-    console.log(`  ✓ Created: ${statsCreated}`);
-    console.log(`  ↻ Updated: ${statsUpdated}`);
-    console.log(`  ✗ Errors: ${statsErrors}`);
-    console.log(`  📊 Total: ${productSkus.length + 1} (${productSkus.length} products + 1 global)`);
-    console.log('='.repeat(70));
-
-  } catch (error) {
-    console.error('❌ Statistics sync failed:', error.message);
+  return true;
+}
+
+/**
+ * Adds per-type counts from plan.apply() to running totals. A resumed run only
+ * applies what is left, so its counts add to the checkpointed ones.
+ */
+function addCounts(total, counts = null) {
+  if (counts) {
+    Object.keys(total).forEach(key => {
+      total[key] += counts[key];
+    });
   }
 }
 
-// Run the sync
-syncReviews();
+/**
+ * Requests each client had to retry (transient failures), plus Shopify requests that were throttled
+ */
+function getRetryCounts(yotpoClient, shopifyClient) {
+  return {
+    yotpo: yotpoClient.retryPolicy.retries,
+    shopify: shopifyClient.retryPolicy.retries,
+    shopifyThrottled: shopifyClient.throttledRequests,
+  };
+}
+
+/**
+ * Builds the machine-readable result returned to the CLI
+ */
+function buildSummary(stats, statistics, dryRun, retries) {
+  const reviewErrors = stats.productReviews.errors + stats.brandReviews.errors + stats.media.errors
+    + stats.productQuestions.errors;
+  const statisticsErrors = statistics ? statistics.errors : 0;
+
+  return {
+    dryRun,
+    reviews: stats,
+    statistics,
+    retries,
+    errors: reviewErrors + statisticsErrors,
+  };
+}
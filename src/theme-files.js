@@ -0,0 +1,270 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { ShopifyClient } from './clients/shopify-client.js';
+import { STATISTICS_DEFINITION } from './setup-statistics-definition.js';
+import { CUSTOM_QUESTION_FIELDS } from './config/custom-fields.js';
+import { PRODUCT_METAFIELDS, PRODUCT_REVIEWS_LIST } from './config/product-metafields.js';
+import { GLOBAL_STATISTICS_KEYS } from './config/statistics.js';
+import { getReviewFields } from './transformers/field-mapping.js';
+
+const STATISTICS_TYPE = STATISTICS_DEFINITION.type;
+
+// Fields the storefront queries don't need: the product is already known, and the
+// lists only hold published, active reviews
+const SKIPPED_FIELDS = ['product_sku', 'product_reference', 'is_active', 'synced_at'];
+
+const STAR_COUNTS = [
+  [5, 'five_star_count'],
+  [4, 'four_star_count'],
+  [3, 'three_star_count'],
+  [2, 'two_star_count'],
+  [1, 'one_star_count'],
+];
+
+// Files per review, as many as Yotpo allows on a review
+const MEDIA_LIMIT = 10;
+
+/**
+ * Writes a Liquid section and snippet, and Storefront API queries, that render the synced
+ * reviews. They are generated from the field mapping and product metafields, so re-run
+ * this after changing review-fields.js, custom-fields.js or product-metafields.js.
+ * @param {object} options - { out }: directory to write to (default: theme)
+ * @returns {object} - { files, errors }
+ */
+export async function generateThemeFiles({ out = 'theme' } = {}) {
+  console.log(`🎨 Generating theme files in ${out}/...\n`);
+
+  const files = {
+    'sections/yotpo-reviews.liquid': renderSection(),
+    'snippets/yotpo-review.liquid': renderReviewSnippet(),
+    'storefront/product-reviews.graphql': renderProductReviewsQuery(),
+    'storefront/brand-reviews.graphql': renderBrandReviewsQuery(),
+    'storefront/global-statistics.graphql': renderGlobalStatisticsQuery(),
+  };
+
+  Object.entries(files).forEach(([name, content]) => {
+    const path = join(out, name);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content);
+    console.log(`  ✓ ${path}`);
+  });
+
+  console.log('\nCopy sections/ and snippets/ into your theme, then add the "Yotpo reviews" section to the product template.');
+
+  return { files: Object.keys(files).map(name => join(out, name)), errors: 0 };
+}
+
+function renderSection() {
+  const stars = STAR_COUNTS.map(([stars, key]) => `      <li>${stars} ★ {{ statistics.${key}.value | default: 0 }}</li>`).join('\n');
+
+  return `{%- comment -%}
+  Generated by "yotpo-sync theme" - re-run it instead of editing this file.
+  Reviews and statistics of the product, from product.metafields.yotpo.
+{%- endcomment -%}
+{%- assign statistics = product.metafields.yotpo.review_statistics.value -%}
+{%- assign reviews = product.metafields.yotpo.reviews.value -%}
+
+<section id="yotpo-reviews-{{ section.id }}" class="yotpo-reviews page-width">
+  <h2 class="yotpo-reviews__heading">{{ section.settings.heading | escape }}</h2>
+
+  {%- if statistics and statistics.total_reviews.value > 0 -%}
+    <p class="yotpo-reviews__summary">
+      {{ statistics.average_rating.value | round: 1 }} / 5 ·
+      {{ statistics.total_reviews.value }} {{ statistics.total_reviews.value | pluralize: 'review', 'reviews' }}
+    </p>
+    <ul class="yotpo-reviews__distribution">
+${stars}
+    </ul>
+    {%- assign keywords = statistics.top_keywords.value | map: 'keyword' -%}
+    {%- if keywords.size > 0 -%}
+      <p class="yotpo-reviews__keywords">Customers mention: {{ keywords | join: ', ' | escape }}</p>
+    {%- endif -%}
+  {%- endif -%}
+
+  {%- for review in reviews limit: section.settings.reviews_shown -%}
+    {%- render 'yotpo-review', review: review -%}
+  {%- else -%}
+    <p class="yotpo-reviews__empty">{{ section.settings.empty_text | escape }}</p>
+  {%- endfor -%}
+</section>
+
+{% schema %}
+${JSON.stringify({
+    name: 'Yotpo reviews',
+    enabled_on: { templates: ['product'] },
+    settings: [
+      { type: 'text', id: 'heading', label: 'Heading', default: 'Customer reviews' },
+      {
+        type: 'number',
+        id: 'reviews_shown',
+        label: 'Reviews shown',
+        info: `Products keep their ${PRODUCT_REVIEWS_LIST.limit} ${PRODUCT_REVIEWS_LIST.order.replace('_', ' ')} reviews`,
+        default: Math.min(10, PRODUCT_REVIEWS_LIST.limit),
+      },
+      { type: 'text', id: 'empty_text', label: 'Text without reviews', default: 'No reviews yet' },
+    ],
+    presets: [{ name: 'Yotpo reviews' }],
+  }, null, 2)}
+{% endschema %}
+`;
+}
+
+function renderReviewSnippet() {
+  const answers = CUSTOM_QUESTION_FIELDS.map(({ key, name, type }) => {
+    const value = type.startsWith('list.') ? `review.${key}.value | join: ', '` : `review.${key}.value`;
+    return `    {%- if review.${key}.value != nil %}<dt>${escapeHtml(name)}</dt><dd>{{ ${value} }}</dd>{% endif -%}`;
+  });
+
+  const details = answers.length > 0
+    ? `\n  <dl class="yotpo-review__answers">\n${answers.join('\n')}\n  </dl>\n`
+    : '';
+
+  return `{%- comment -%}
+  Generated by "yotpo-sync theme" - re-run it instead of editing this file.
+  One yotpo_product_review metaobject: {% render 'yotpo-review', review: review %}
+{%- endcomment -%}
+<article class="yotpo-review">
+  <div class="yotpo-review__rating" aria-label="{{ review.rating.value }} out of 5 stars">
+    {%- for i in (1..5) -%}{%- if i <= review.rating.value -%}★{%- else -%}☆{%- endif -%}{%- endfor -%}
+  </div>
+
+  {%- if review.title.value != blank %}
+    <h3 class="yotpo-review__title">{{ review.title.value | escape }}</h3>
+  {%- endif %}
+
+  <p class="yotpo-review__author">
+    {{ review.reviewer_name.value | escape }}
+    {%- if review.verified_buyer.value %} · Verified buyer{% endif -%}
+    {%- if review.created_date.value %} · {{ review.created_date.value | date: '%b %-d, %Y' }}{% endif -%}
+  </p>
+
+  <div class="yotpo-review__content">{{ review.content.value | escape | newline_to_br }}</div>
+${details}
+  {%- if review.media.value != blank %}
+    <div class="yotpo-review__media">
+      {%- for file in review.media.value -%}
+        {%- case file.media_type -%}
+          {%- when 'image' -%}{{ file | image_url: width: 240 | image_tag: loading: 'lazy' }}
+          {%- when 'video' -%}{{ file | video_tag: controls: true }}
+        {%- endcase -%}
+      {%- endfor -%}
+    </div>
+  {%- endif %}
+
+  {%- if review.reply_content.value != blank %}
+    <div class="yotpo-review__reply">
+      <strong>{{ review.reply_author.value | default: shop.name | escape }}</strong>
+      {{ review.reply_content.value | escape | newline_to_br }}
+    </div>
+  {%- endif %}
+</article>
+`;
+}
+
+function renderProductReviewsQuery() {
+  const metafields = PRODUCT_METAFIELDS.map(metafield => {
+    const selection = `${toAlias(metafield.key)}: metafield(namespace: "${metafield.namespace}", key: "${metafield.key}")`;
+
+    if (metafield.type === 'metaobject_reference') {
+      return `${selection} {\n      reference {\n        ... on Metaobject {\n${renderFields(getStorefrontFields(metafield.reference), 10)}\n        }\n      }\n    }`;
+    }
+
+    if (metafield.type === 'list.metaobject_reference') {
+      return `${selection} {\n      references(first: ${PRODUCT_REVIEWS_LIST.limit}) {\n        nodes {\n          ... on Metaobject {\n            handle\n${renderFields(getStorefrontFields(metafield.reference), 12)}\n          }\n        }\n      }\n    }`;
+    }
+
+    return `${selection} {\n      value\n    }`;
+  });
+
+  return `${header('Rating, statistics and published reviews of a product, from its yotpo and reviews metafields')}
+query ProductReviews($handle: String!) {
+  product(handle: $handle) {
+    id
+    title
+    ${metafields.join('\n    ')}
+  }
+}
+`;
+}
+
+function renderBrandReviewsQuery() {
+  // Brand reviews aren't attached to a product, so deactivated ones have to be filtered here
+  const fields = getReviewFields('yotpo_brand_review')
+    .filter(field => field.key === 'is_active' || !SKIPPED_FIELDS.includes(field.key));
+
+  return `${header('Newest brand reviews; skip the ones whose isActive is "false"')}
+query BrandReviews($first: Int = 20, $after: String) {
+  metaobjects(type: "yotpo_brand_review", first: $first, after: $after, sortKey: "updated_at", reverse: true) {
+    nodes {
+      handle
+${renderFields(fields, 6)}
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+}
+
+function renderGlobalStatisticsQuery() {
+  const fields = renderFields(getStorefrontFields(STATISTICS_TYPE), 4);
+  const scopes = Object.entries(GLOBAL_STATISTICS_KEYS).map(([scope, key]) => {
+    const handle = ShopifyClient.getHandle(STATISTICS_TYPE, key);
+    return `  ${toAlias(scope)}: metaobject(handle: { type: "${STATISTICS_TYPE}", handle: "${handle}" }) {\n${fields}\n  }`;
+  });
+
+  return `${header('Store-wide statistics, e.g. for the home page: allProducts counts product reviews, brand counts brand reviews, combined counts both')}
+query GlobalStatistics {
+${scopes.join('\n')}
+}
+`;
+}
+
+function header(description) {
+  return `# Generated by "yotpo-sync theme" - re-run it instead of editing this file.
+# ${description}. Needs a Storefront API token with the unauthenticated_read_metaobjects scope.`;
+}
+
+/**
+ * Fields of a metaobject type worth reading from the storefront
+ */
+function getStorefrontFields(type) {
+  const fields = type === STATISTICS_TYPE ? STATISTICS_DEFINITION.fieldDefinitions : getReviewFields(type);
+  return fields.filter(field => !SKIPPED_FIELDS.includes(field.key));
+}
+
+/**
+ * Aliased field(key:) selections; files are resolved to their URLs
+ */
+function renderFields(fields, indent) {
+  const pad = ' '.repeat(indent);
+
+  return fields.map(field => {
+    const selection = `${pad}${toAlias(field.key)}: field(key: "${field.key}")`;
+
+    if (field.type === 'list.file_reference') {
+      return [
+        `${selection} {`,
+        `${pad}  references(first: ${MEDIA_LIMIT}) {`,
+        `${pad}    nodes {`,
+        `${pad}      ... on MediaImage { image { url altText width height } }`,
+        `${pad}      ... on Video { sources { url mimeType } previewImage { url } }`,
+        `${pad}    }`,
+        `${pad}  }`,
+        `${pad}}`,
+      ].join('\n');
+    }
+
+    return `${selection} { value }`;
+  }).join('\n');
+}
+
+function toAlias(key) {
+  return key.replace(/_([a-z0-9])/g, (match, character) => character.toUpperCase());
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
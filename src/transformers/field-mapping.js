@@ -0,0 +1,136 @@
+import { decodeHtmlEntities } from '../utils/html-decoder.js';
+import { REVIEW_FIELDS } from '../config/review-fields.js';
+import { QUESTION_DEFINITION, QUESTION_FIELDS } from '../config/question-fields.js';
+import { STOREFRONT_ACCESS } from '../config/storefront.js';
+
+const TRANSFORMS = {
+  decode: value => decodeHtmlEntities(String(value)),
+  truncate: (value, length) => String(value).slice(0, length),
+  date: value => new Date(value).toISOString().split('T')[0], // YYYY-MM-DD format
+  datetime: value => new Date(value).toISOString(),
+  json: value => JSON.stringify(value),
+  answer: (value, arg, field) => formatAnswer(value, field.type),
+};
+
+/**
+ * Fields of a review metaobject type, from REVIEW_FIELDS; private fields only while
+ * the definitions are admin-only
+ */
+export function getReviewFields(type) {
+  return REVIEW_FIELDS.filter(field =>
+    (!field.definitions || field.definitions.includes(type)) && !(field.private && STOREFRONT_ACCESS !== 'NONE')
+  );
+}
+
+/**
+ * Fields of any mapped metaobject type: the review types, or yotpo_product_question
+ */
+export function getMappedFields(type) {
+  return type === QUESTION_DEFINITION.type ? QUESTION_FIELDS : getReviewFields(type);
+}
+
+/**
+ * Keys of the private review fields, which must not be in a definition the storefront can read
+ */
+export function getPrivateFieldKeys() {
+  return REVIEW_FIELDS.filter(field => field.private).map(field => field.key);
+}
+
+/**
+ * Field definitions for metaobjectDefinitionCreate
+ */
+export function getFieldDefinitions(type) {
+  return getMappedFields(type).map(field => {
+    const definition = {
+      key: field.key,
+      name: field.name,
+      type: field.type,
+      description: field.description,
+    };
+
+    if (field.required) {
+      definition.required = true;
+    }
+
+    if (field.validations) {
+      definition.validations = field.validations;
+    }
+
+    return definition;
+  });
+}
+
+/**
+ * Builds metaobject fields from the mapping
+ * @param {string} type - Review or question metaobject type
+ * @param {object} data - Source values the field paths point into (see REVIEW_FIELDS and QUESTION_FIELDS)
+ * @returns {Array} - { key, value } for every field: its value, its default, or an empty
+ *   value ('' or '[]' for lists) so a value that is gone from the source is cleared
+ *   rather than left behind
+ */
+export function mapFields(type, data) {
+  const fields = [];
+
+  getMappedFields(type).forEach(field => {
+    let value = getPath(data, field.source);
+
+    if (!isEmpty(value)) {
+      value = (field.transforms || []).reduce((result, transform) => applyTransform(field, transform, result), value);
+    }
+
+    if (!isEmpty(value)) {
+      fields.push({ key: field.key, value: String(value) });
+    } else {
+      fields.push({ key: field.key, value: field.default ?? getEmptyValue(field) });
+    }
+  });
+
+  return fields;
+}
+
+function getEmptyValue(field) {
+  return field.type.startsWith('list.') ? '[]' : '';
+}
+
+function getPath(data, source) {
+  const path = Array.isArray(source) ? source : source.split('.');
+  return path.reduce((value, segment) => (value == null ? undefined : value[segment]), data);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * @param {string|object} transform - Transform name, or { name: argument } (e.g. { truncate: 255 })
+ */
+function applyTransform(field, transform, value) {
+  const [name, arg] = typeof transform === 'string' ? [transform, undefined] : Object.entries(transform)[0];
+
+  if (!TRANSFORMS[name]) {
+    throw new Error(`Unknown transform "${name}" for field ${field.key}`);
+  }
+
+  return isEmpty(value) ? value : TRANSFORMS[name](value, arg, field);
+}
+
+/**
+ * Converts a custom question answer to the value format of the field's type
+ * @returns {string|null} - null when the answer doesn't fit the type
+ */
+function formatAnswer(answer, type) {
+  const values = Array.isArray(answer) ? answer : [answer];
+
+  switch (type) {
+    case 'list.single_line_text_field':
+      return JSON.stringify(values.map(String));
+    case 'number_integer': {
+      const number = Number(values[0]);
+      return Number.isFinite(number) ? Math.round(number).toString() : null;
+    }
+    case 'boolean':
+      return ['true', 'yes', '1'].includes(String(values[0]).toLowerCase()).toString();
+    default:
+      return values.join(', ');
+  }
+}
@@ -0,0 +1,98 @@
+import { decodeHtmlEntities } from '../utils/html-decoder.js';
+
+// Common English words, plus words nearly every review uses without saying what it's about
+const STOP_WORDS = new Set(`
+  a about above after again against all also am an and any are aren't as at be because been
+  before being below between both but by can can't cannot could couldn't did didn't do does
+  doesn't doing don't down during each even ever every few for from further get gets got had
+  hadn't has hasn't have haven't having he her here hers herself him himself his how i i'd i'll
+  i'm i've if in into is isn't it it's its itself just let's me more most much my myself no nor
+  not now of off on once only or other ought our ours ourselves out over own really same she
+  should shouldn't so some still such than that that's the their theirs them themselves then
+  there there's these they they'd they'll they're they've this those through to too under until
+  up us very was wasn't we we'd we'll we're we've were weren't what what's when where which while
+  who whom why will with won't would wouldn't you you'd you'll you're you've your yours yourself
+  yourselves
+  amazing awesome bad best better bought buy buying definitely excellent good great item items
+  like liked love loved nice one ones order ordered perfect product products purchase purchased
+  recommend recommended review star stars thing things use used using well will worth
+`.trim().split(/\s+/));
+
+// Sentence and clause boundaries; phrases never span them
+const BOUNDARIES = /[.!?;:,()"\n\r]+/;
+
+/**
+ * Finds the words and phrases (n-grams) the most reviews mention. Phrases may contain stop
+ * words ("true to size") but not start or end with one. A keyword that overlaps one that
+ * ranked higher - one contains the other, e.g. "size" and "true to size" - is left out.
+ * @param {Array} texts - One string per review (e.g. title and content)
+ * @param {object} options - { limit, maxWords, minReviews, stopWords } (see KEYWORDS)
+ * @returns {Array} - { keyword, reviews } sorted by relevance; reviews counts the
+ *   reviews that mention the keyword
+ */
+export function extractKeywords(texts, { limit = 10, maxWords = 3, minReviews = 2, stopWords = [] } = {}) {
+  const ignored = new Set([...STOP_WORDS, ...stopWords.map(word => word.toLowerCase())]);
+  const reviewCounts = new Map();
+
+  texts.forEach(text => {
+    // Each review counts once per keyword, however often it repeats it
+    const seen = new Set();
+
+    decodeHtmlEntities(String(text || '')).toLowerCase().split(BOUNDARIES).forEach(clause => {
+      const words = clause.match(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) || [];
+
+      for (let start = 0; start < words.length; start++) {
+        for (let length = 1; length <= maxWords && start + length <= words.length; length++) {
+          const phrase = words.slice(start, start + length);
+
+          if (isKeyword(phrase, ignored)) {
+            seen.add(phrase.join(' '));
+          }
+        }
+      }
+    });
+
+    seen.forEach(keyword => reviewCounts.set(keyword, (reviewCounts.get(keyword) || 0) + 1));
+  });
+
+  // Longer phrases say more, so they outrank a single word mentioned about as often
+  const candidates = [...reviewCounts.entries()]
+    .filter(([, reviews]) => reviews >= minReviews)
+    .map(([keyword, reviews]) => ({ keyword, reviews, score: reviews * (1 + (keyword.split(' ').length - 1) / 2) }))
+    .sort((a, b) => (b.score - a.score) || (b.reviews - a.reviews) || a.keyword.localeCompare(b.keyword));
+
+  const keywords = [];
+
+  for (const candidate of candidates) {
+    if (keywords.length >= limit) {
+      break;
+    }
+
+    const overlaps = keywords.some(kept => containsPhrase(kept.keyword, candidate.keyword) || containsPhrase(candidate.keyword, kept.keyword));
+    if (!overlaps) {
+      keywords.push({ keyword: candidate.keyword, reviews: candidate.reviews });
+    }
+  }
+
+  return keywords;
+}
+
+function isKeyword(words, ignored) {
+  const first = words[0];
+  const last = words[words.length - 1];
+
+  // Numbers alone ("5", "2024") aren't topics
+  if (words.every(word => /^\p{N}+$/u.test(word))) {
+    return false;
+  }
+
+  if (ignored.has(first) || ignored.has(last)) {
+    return false;
+  }
+
+  return words.length > 1 || first.length >= 3;
+}
+
+function containsPhrase(phrase, part) {
+  return ` ${phrase} `.includes(` ${part} `);
+}
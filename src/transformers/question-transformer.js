@@ -0,0 +1,81 @@
+import { decodeHtmlEntities } from '../utils/html-decoder.js';
+import { mapFields } from './field-mapping.js';
+
+/**
+ * Builds the metaobject fields of a question from QUESTION_FIELDS (src/config/question-fields.js)
+ * @param {object} yotpoQuestion - Question from the Yotpo API
+ * @param {string|null} productId - Shopify product GID
+ */
+export function transformYotpoQuestion(yotpoQuestion, productId = null) {
+  const isActive = !yotpoQuestion.deleted;
+  const answers = getQuestionAnswers(yotpoQuestion);
+
+  const fields = mapFields('yotpo_product_question', {
+    question: yotpoQuestion,
+    status: { isActive },
+    sync: { now: new Date().toISOString() },
+    product: { id: productId, sku: getQuestionSku(yotpoQuestion) },
+    answers: answers.map(answer => ({
+      content: answer.content,
+      author: answer.author,
+      author_type: answer.authorType,
+      created_at: answer.createdAt,
+      votes_up: answer.votesUp,
+      votes_down: answer.votesDown,
+    })),
+    topAnswer: answers[0] || null,
+  });
+
+  return {
+    fields,
+    isActive,
+  };
+}
+
+/**
+ * Public answers to a question, HTML entities decoded; the store's answers come first,
+ * otherwise Yotpo's order is kept
+ * @returns {Array} - { content, author, authorType, createdAt, votesUp, votesDown }
+ */
+export function getQuestionAnswers(yotpoQuestion) {
+  const answers = (yotpoQuestion.sorted_public_answers || yotpoQuestion.answers || [])
+    .filter(answer => answer && answer.content && answer.is_public !== false)
+    .map(answer => ({
+      content: decodeHtmlEntities(answer.content),
+      author: decodeHtmlEntities(answer.answerer?.display_name || answer.display_name || '') || null,
+      authorType: getAnswerAuthorType(answer),
+      createdAt: answer.created_at || null,
+      votesUp: answer.votes_up || 0,
+      votesDown: answer.votes_down || 0,
+    }));
+
+  return [
+    ...answers.filter(answer => answer.authorType === 'store_owner'),
+    ...answers.filter(answer => answer.authorType !== 'store_owner'),
+  ];
+}
+
+/**
+ * Yotpo SKU of the product a question is about (Yotpo calls it the domain key on questions)
+ */
+export function getQuestionSku(yotpoQuestion) {
+  const sku = yotpoQuestion.sku ?? yotpoQuestion.domain_key ?? null;
+  return sku === null ? null : sku.toString();
+}
+
+function getAnswerAuthorType(answer) {
+  if (answer.store_owner_comment === true || answer.answerer?.store_owner === true) {
+    return 'store_owner';
+  }
+
+  if (answer.answerer?.is_verified_buyer === true || answer.user_type === 'verified_buyer') {
+    return 'verified_buyer';
+  }
+
+  return 'customer';
+}
+
+export function shouldSyncQuestion(yotpoQuestion) {
+  // Only sync active questions with the fields every question metaobject needs
+  return !yotpoQuestion.deleted && Boolean(yotpoQuestion.id && yotpoQuestion.content && getQuestionSku(yotpoQuestion));
+}
@@ -1,97 +1,113 @@
 import { decodeHtmlEntities } from '../utils/html-decoder.js';
+import { mapFields } from './field-mapping.js';
 
-export function transformYotpoReview(yotpoReview, productId = null) {
+/**
+ * Builds the metaobject fields of a review from REVIEW_FIELDS (src/config/review-fields.js)
+ * @param {object} yotpoReview - Review from the Yotpo API
+ * @param {string|null} productId - Shopify product GID (product reviews)
+ * @param {Array} mediaFileIds - Shopify file GIDs of the review's photos and videos
+ */
+export function transformYotpoReview(yotpoReview, productId = null, mediaFileIds = []) {
   const isBrandReview = yotpoReview.sku === 'yotpo_site_reviews';
   const isActive = !yotpoReview.deleted && !yotpoReview.archived;
+  const customQuestions = getCustomQuestions(yotpoReview);
 
-  // Base fields for both product and brand reviews
-  const fields = [
-    {
-      key: 'yotpo_id',
-      value: yotpoReview.id.toString(),
-    },
-    {
-      key: 'rating',
-      value: yotpoReview.score.toString(),
-    },
-    {
-      key: 'title',
-      value: decodeHtmlEntities(yotpoReview.title) || '',
-    },
-    {
-      key: 'content',
-      value: decodeHtmlEntities(yotpoReview.content) || '',
-    },
-    {
-      key: 'reviewer_name',
-      value: decodeHtmlEntities(yotpoReview.name) || 'Anonymous',
-    },
-    {
-      key: 'is_active',
-      value: isActive.toString(),
-    },
-    {
-      key: 'synced_at',
-      value: new Date().toISOString(),
-    },
-  ];
-
-  // Add optional reviewer email
-  if (yotpoReview.email) {
-    fields.push({
-      key: 'reviewer_email',
-      value: yotpoReview.email,
-    });
-  }
+  const fields = mapFields(isBrandReview ? 'yotpo_brand_review' : 'yotpo_product_review', {
+    review: yotpoReview,
+    status: { isActive },
+    sync: { now: new Date().toISOString() },
+    product: { id: productId },
+    reply: getReviewReply(yotpoReview),
+    badges: getReviewBadges(yotpoReview),
+    media: { fileIds: mediaFileIds },
+    customQuestions,
+    customAnswers: Object.fromEntries(customQuestions.map(({ question, answer }) => [question.toLowerCase(), answer])),
+  });
 
-  // Add created date
-  if (yotpoReview.created_at) {
-    const date = new Date(yotpoReview.created_at);
-    fields.push({
-      key: 'created_date',
-      value: date.toISOString().split('T')[0], // YYYY-MM-DD format
-    });
-  }
+  return {
+    fields,
+    isBrandReview,
+    isActive,
+  };
+}
 
-  // Add sentiment score
-  if (typeof yotpoReview.sentiment !== 'undefined') {
-    fields.push({
-      key: 'sentiment_score',
-      value: yotpoReview.sentiment.toString(),
-    });
-  }
+/**
+ * Photos and videos attached to a review
+ * @returns {Array} - { url, kind } with kind 'image' or 'video', in Yotpo's order
+ */
+export function getReviewMedia(yotpoReview) {
+  const images = (yotpoReview.images_data || [])
+    .map(image => ({ url: image.original_url || image.image_url, kind: 'image' }));
+  const videos = (yotpoReview.videos_data || [])
+    .map(video => ({ url: video.video_url || video.original_url, kind: 'video' }));
 
-  // Add helpful votes
-  if (typeof yotpoReview.votes_up !== 'undefined') {
-    fields.push({
-      key: 'helpful_votes',
-      value: yotpoReview.votes_up.toString(),
-    });
-  }
+  return [...images, ...videos].filter(media => media.url);
+}
 
-  // Product-specific fields (not for brand reviews)
-  if (!isBrandReview) {
-    fields.push({
-      key: 'product_sku',
-      value: yotpoReview.sku,
-    });
-
-    // Add product reference if we have a Shopify product ID
-    if (productId) {
-      fields.push({
-        key: 'product_reference',
-        value: productId,
-      });
-    }
+/**
+ * The store's public reply to a review (Yotpo calls it a comment), HTML entities decoded
+ * @returns {object|null} - { content, author, createdAt }, or null when there is none
+ */
+export function getReviewReply(yotpoReview) {
+  const comment = yotpoReview.comment;
+
+  if (!comment || !comment.content || comment.is_public === false) {
+    return null;
   }
 
   return {
-    fields,
-    isBrandReview,
-    isActive,
+    content: decodeHtmlEntities(comment.content),
+    author: decodeHtmlEntities(comment.comments_display_name || comment.display_name) || null,
+    createdAt: comment.created_at || null,
   };
 }
 
+/**
+ * Verified-buyer, incentivized and syndicated markers of a review
+ */
+export function getReviewBadges(yotpoReview) {
+  return {
+    verifiedBuyer: yotpoReview.verified_buyer === true || yotpoReview.reviewer_type === 'verified_buyer',
+    incentivized: yotpoReview.incentivized === true,
+    syndicated: yotpoReview.syndicated === true || Boolean(yotpoReview.syndication_data),
+  };
+}
+
+/**
+ * Answers to the store's custom review questions (Yotpo's custom_fields), in Yotpo's order.
+ * Blank answers (empty strings or lists, whitespace) count as unanswered, so an answer
+ * the reviewer cleared is cleared in Shopify too.
+ * @returns {Array} - { question, answer, type }; answer is a string, number or array
+ *   depending on the question type
+ */
+export function getCustomQuestions(yotpoReview) {
+  return Object.values(yotpoReview.custom_fields || {})
+    .filter(field => field && field.title)
+    .map(field => ({
+      question: decodeHtmlEntities(field.title),
+      answer: getCustomAnswer(field.value),
+      type: field.field_type || null,
+    }))
+    .filter(({ answer }) => answer !== null);
+}
+
+/**
+ * @returns {string|number|Array|null} - The decoded answer, or null when it is blank
+ */
+function getCustomAnswer(value) {
+  if (Array.isArray(value)) {
+    const values = value.map(getCustomAnswer).filter(answer => answer !== null);
+    return values.length > 0 ? values.map(String) : null;
+  }
+
+  if (typeof value === 'string') {
+    const answer = decodeHtmlEntities(value).trim();
+    return answer === '' ? null : answer;
+  }
+
+  return value ?? null;
+}
+
 export function shouldSyncReview(yotpoReview) {
   // Only sync active reviews (not deleted or archived)
   const isActive = !yotpoReview.deleted && !yotpoReview.archived;
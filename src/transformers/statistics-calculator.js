@@ -1,17 +1,45 @@
-export function calculateReviewStatistics(reviews) {
+import { extractKeywords } from './keyword-extractor.js';
+import { SENTIMENT_BUCKETS, KEYWORDS, GLOBAL_STATISTICS_KEYS, TIME_WINDOWS, WEIGHTED_RATING } from '../config/statistics.js';
+
+const BRAND_SKU = 'yotpo_site_reviews';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews each global scope counts
+const SCOPE_FILTERS = {
+  all_products: review => review.sku !== BRAND_SKU,
+  brand: review => review.sku === BRAND_SKU,
+  combined: () => true,
+};
+
+/**
+ * Calculates statistics per product. Brand reviews aren't about a product and are left
+ * out; they only count towards the brand and combined global statistics.
+ * @param {Array} reviews - Active Yotpo reviews
+ * @param {Function} getKey - Groups reviews: review → key (default: the Yotpo SKU)
+ * @param {object} options - { population }: reviews whose average rating is the prior of
+ *   the weighted ratings (default: the reviews given); pass every review when only some
+ *   products are recalculated
+ * @returns {object} - Statistics by key; each key is also the productSku of its statistics
+ */
+export function calculateReviewStatistics(reviews, getKey = review => review.sku || 'unknown', { population = reviews } = {}) {
   if (!reviews || reviews.length === 0) {
     return {};
   }
 
-  // Group reviews by product SKU
+  const priorRatings = population.filter(SCOPE_FILTERS.all_products).map(review => review.score || 0);
+  // Rounded like average_rating, so a new review elsewhere rarely changes every product
+  const priorAverage = priorRatings.length > 0 ? parseFloat(average(priorRatings).toFixed(2)) : 0;
+
+  // Group reviews by product
   const statsByProduct = {};
 
-  reviews.forEach(review => {
-    const sku = review.sku || 'unknown';
+  reviews.filter(SCOPE_FILTERS.all_products).forEach(review => {
+    const sku = getKey(review);
 
     if (!statsByProduct[sku]) {
       statsByProduct[sku] = {
         productSku: sku,
+        reviews: [],
         ratings: [],
         starCounts: {
           5: 0,
@@ -24,6 +52,7 @@ export function calculateReviewStatistics(reviews) {
     }
 
     const rating = review.score || 0;
+    statsByProduct[sku].reviews.push(review);
     statsByProduct[sku].ratings.push(rating);
 
     if (rating >= 1 && rating <= 5) {
@@ -42,6 +71,7 @@ export function calculateReviewStatistics(reviews) {
 
     productStatistics[sku] = {
       productSku: sku,
+      scope: 'product',
       averageRating: parseFloat(averageRating),
       totalReviews,
       fiveStarCount: data.starCounts[5],
@@ -49,17 +79,34 @@ export function calculateReviewStatistics(reviews) {
       threeStarCount: data.starCounts[3],
       twoStarCount: data.starCounts[2],
       oneStarCount: data.starCounts[1],
-      lastUpdated: new Date().toISOString()
+      ...calculateWeightedRating(data.ratings, priorAverage),
+      ...calculateSentiment(data.reviews),
+      topKeywords: calculateKeywords(data.reviews),
+      ...calculateTimeWindows(data.reviews),
+      syncedAt: new Date().toISOString()
     };
   });
 
   return productStatistics;
 }
 
-export function calculateGlobalStatistics(reviews) {
-  if (!reviews || reviews.length === 0) {
+/**
+ * Calculates store-wide statistics over the reviews of one scope
+ * @param {Array} allReviews - Active Yotpo reviews, product and brand
+ * @param {string} scope - all_products, brand or combined (see GLOBAL_STATISTICS_KEYS)
+ */
+export function calculateGlobalStatistics(allReviews, scope = 'combined') {
+  if (!SCOPE_FILTERS[scope]) {
+    throw new Error(`Unknown statistics scope "${scope}" (expected ${Object.keys(SCOPE_FILTERS).join(', ')})`);
+  }
+
+  const productSku = GLOBAL_STATISTICS_KEYS[scope];
+  const reviews = (allReviews || []).filter(SCOPE_FILTERS[scope]);
+
+  if (reviews.length === 0) {
     return {
-      productSku: '_global_all_reviews',
+      productSku,
+      scope,
       averageRating: 0,
       totalReviews: 0,
       fiveStarCount: 0,
@@ -67,7 +114,11 @@ export function calculateGlobalStatistics(reviews) {
       threeStarCount: 0,
       twoStarCount: 0,
       oneStarCount: 0,
-      lastUpdated: new Date().toISOString()
+      ...calculateWeightedRating([], 0),
+      ...calculateSentiment([]),
+      topKeywords: [],
+      ...calculateTimeWindows([]),
+      syncedAt: new Date().toISOString()
     };
   }
 
@@ -87,7 +138,8 @@ export function calculateGlobalStatistics(reviews) {
   const averageRating = totalReviews > 0 ? parseFloat((totalRating / totalReviews).toFixed(2)) : 0;
 
   return {
-    productSku: '_global_all_reviews',
+    productSku,
+    scope,
     averageRating,
     totalReviews,
     fiveStarCount: starCounts[5],
@@ -95,16 +147,166 @@ export function calculateGlobalStatistics(reviews) {
     threeStarCount: starCounts[3],
     twoStarCount: starCounts[2],
     oneStarCount: starCounts[1],
-    lastUpdated: new Date().toISOString()
+    // Store-wide, the prior is the scope's own average, so only wilsonScore differs from it
+    ...calculateWeightedRating(reviews.map(review => review.score || 0), totalRating / totalReviews),
+    ...calculateSentiment(reviews),
+    topKeywords: calculateKeywords(reviews),
+    ...calculateTimeWindows(reviews),
+    syncedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * WEIGHTED_RATING scores of a set of ratings
+ * @param {Array} ratings - Star ratings
+ * @param {number} priorAverage - Average rating the Bayesian average is pulled towards
+ * @returns {object} - { weightedRating, wilsonScore }; null without ratings (wilsonScore
+ *   also when WEIGHTED_RATING.wilson is off)
+ */
+function calculateWeightedRating(ratings, priorAverage) {
+  if (ratings.length === 0) {
+    return { weightedRating: null, wilsonScore: null };
+  }
+
+  const { priorReviews, wilson, positiveFrom, z } = WEIGHTED_RATING;
+  const sum = ratings.reduce((total, rating) => total + rating, 0);
+  const weightedRating = (priorReviews * priorAverage + sum) / (priorReviews + ratings.length);
+  const positive = ratings.filter(rating => rating >= positiveFrom).length;
+
+  return {
+    weightedRating: parseFloat(weightedRating.toFixed(3)),
+    wilsonScore: wilson ? parseFloat(wilsonLowerBound(positive, ratings.length, z).toFixed(3)) : null,
+  };
+}
+
+/**
+ * Lower bound of the Wilson score interval of `positive` out of `total`
+ */
+function wilsonLowerBound(positive, total, z) {
+  const share = positive / total;
+  const zSquared = z * z;
+  const center = share + zSquared / (2 * total);
+  const margin = z * Math.sqrt((share * (1 - share) + zSquared / (4 * total)) / total);
+
+  return Math.max(0, (center - margin) / (1 + zSquared / total));
+}
+
+/**
+ * Average Yotpo sentiment (0-1) and the reviews per SENTIMENT_BUCKETS bucket
+ * @returns {object} - { averageSentiment (null without scored reviews), positiveCount, neutralCount, negativeCount }
+ */
+function calculateSentiment(reviews) {
+  const scores = reviews
+    .map(review => review.sentiment)
+    .filter(score => score !== null && score !== undefined && score !== '' && Number.isFinite(Number(score)))
+    .map(Number);
+
+  const sum = scores.reduce((total, score) => total + score, 0);
+
+  return {
+    averageSentiment: scores.length > 0 ? parseFloat((sum / scores.length).toFixed(3)) : null,
+    positiveCount: scores.filter(score => score >= SENTIMENT_BUCKETS.positiveFrom).length,
+    neutralCount: scores.filter(score => score >= SENTIMENT_BUCKETS.negativeBelow && score < SENTIMENT_BUCKETS.positiveFrom).length,
+    negativeCount: scores.filter(score => score < SENTIMENT_BUCKETS.negativeBelow).length,
   };
 }
 
-export function transformStatisticsToMetaobject(statistics) {
-  return [
+/**
+ * Rolling windows and the monthly histogram of TIME_WINDOWS, by review creation date
+ * @returns {object} - { windows: { [days]: { reviewCount, averageRating, ratingChange,
+ *   ratingTrend } }, monthlyHistogram: [{ month, reviews, average_rating }] }; averages
+ *   are null without reviews, change and trend without enough reviews in both windows
+ */
+function calculateTimeWindows(reviews, now = new Date()) {
+  const dated = reviews
+    .map(review => ({ rating: review.score || 0, time: Date.parse(review.created_at) }))
+    .filter(review => Number.isFinite(review.time));
+
+  // Reviews dated after now (clock skew) count as created just now
+  const inWindow = (from, to) => dated
+    .filter(review => {
+      const age = Math.max(0, now.getTime() - review.time);
+      return age >= from * DAY_MS && age < to * DAY_MS;
+    })
+    .map(review => review.rating);
+
+  const windows = {};
+
+  TIME_WINDOWS.days.forEach(days => {
+    const current = inWindow(0, days);
+    const previous = inWindow(days, days * 2);
+    const hasTrend = current.length >= TIME_WINDOWS.trendMinReviews && previous.length >= TIME_WINDOWS.trendMinReviews;
+    const ratingChange = hasTrend ? parseFloat((average(current) - average(previous)).toFixed(2)) : null;
+
+    windows[days] = {
+      reviewCount: current.length,
+      averageRating: current.length > 0 ? parseFloat(average(current).toFixed(2)) : null,
+      ratingChange,
+      ratingTrend: hasTrend ? getTrend(ratingChange) : null,
+    };
+  });
+
+  return { windows, monthlyHistogram: calculateMonthlyHistogram(dated, now) };
+}
+
+/**
+ * Reviews and average rating per calendar month (UTC), oldest first; months without
+ * reviews are included so the histogram can be charted as is
+ */
+function calculateMonthlyHistogram(dated, now) {
+  const ratingsByMonth = new Map();
+
+  for (let offset = TIME_WINDOWS.histogramMonths - 1; offset >= 0; offset--) {
+    const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1));
+    ratingsByMonth.set(month.toISOString().slice(0, 7), []);
+  }
+
+  dated.forEach(review => {
+    const month = new Date(Math.min(review.time, now.getTime())).toISOString().slice(0, 7);
+    ratingsByMonth.get(month)?.push(review.rating);
+  });
+
+  return [...ratingsByMonth].map(([month, ratings]) => ({
+    month,
+    reviews: ratings.length,
+    average_rating: ratings.length > 0 ? parseFloat(average(ratings).toFixed(2)) : null,
+  }));
+}
+
+function getTrend(ratingChange) {
+  if (ratingChange >= TIME_WINDOWS.trendThreshold) {
+    return 'up';
+  }
+
+  return ratingChange <= -TIME_WINDOWS.trendThreshold ? 'down' : 'stable';
+}
+
+function average(ratings) {
+  return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+/**
+ * What customers mention most, from review titles and content (see KEYWORDS)
+ */
+function calculateKeywords(reviews) {
+  return extractKeywords(reviews.map(review => `${review.title || ''}\n${review.content || ''}`), KEYWORDS);
+}
+
+/**
+ * Builds the yotpo_review_statistics fields
+ * @param {object} statistics - From calculateReviewStatistics / calculateGlobalStatistics
+ * @param {string|null} productId - Shopify product GID of the SKU, if it was found
+ */
+export function transformStatisticsToMetaobject(statistics, productId = null) {
+  const fields = [
     {
       key: 'product_sku',
       value: statistics.productSku,
     },
+    {
+      key: 'scope',
+      value: statistics.scope,
+    },
     {
       key: 'average_rating',
       value: statistics.averageRating.toString(),
@@ -134,8 +336,68 @@ export function transformStatisticsToMetaobject(statistics) {
       value: statistics.oneStarCount.toString(),
     },
     {
-      key: 'last_updated',
-      value: statistics.lastUpdated,
+      key: 'positive_sentiment_count',
+      value: statistics.positiveCount.toString(),
+    },
+    {
+      key: 'neutral_sentiment_count',
+      value: statistics.neutralCount.toString(),
+    },
+    {
+      key: 'negative_sentiment_count',
+      value: statistics.negativeCount.toString(),
+    },
+    {
+      key: 'top_keywords',
+      value: JSON.stringify(statistics.topKeywords),
+    },
+    {
+      key: 'monthly_histogram',
+      value: JSON.stringify(statistics.monthlyHistogram),
+    },
+    {
+      key: 'synced_at',
+      value: statistics.syncedAt,
+    },
+    ...transformTimeWindows(statistics.windows),
+    // Empty without ratings (wilson_score also when WEIGHTED_RATING.wilson is off),
+    // which clears the value an earlier run wrote
+    {
+      key: 'weighted_rating',
+      value: statistics.weightedRating?.toString() ?? '',
+    },
+    {
+      key: 'wilson_score',
+      value: statistics.wilsonScore?.toString() ?? '',
     },
   ];
+
+  // Without any scored review there's no average to show; the empty value clears an old one
+  fields.push({
+    key: 'average_sentiment',
+    value: statistics.averageSentiment?.toString() ?? '',
+  });
+
+  if (productId) {
+    fields.push({
+      key: 'product_reference',
+      value: productId,
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * review_count_, average_rating_, rating_change_ and rating_trend_<days>d; the last three
+ * are empty when the window has no value, which clears the one an earlier run wrote
+ */
+function transformTimeWindows(windows) {
+  return Object.entries(windows).flatMap(([days, window]) => [
+    { key: `review_count_${days}d`, value: window.reviewCount },
+    { key: `average_rating_${days}d`, value: window.averageRating },
+    { key: `rating_change_${days}d`, value: window.ratingChange },
+    { key: `rating_trend_${days}d`, value: window.ratingTrend },
+  ])
+    .map(field => ({ key: field.key, value: field.value?.toString() ?? '' }));
 }
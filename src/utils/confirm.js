@@ -0,0 +1,22 @@
+import { createInterface } from 'readline/promises';
+
+/**
+ * Asks a yes/no question on the terminal
+ * @param {string} question - Prompt text (without the [y/N] suffix)
+ * @returns {boolean} - True only for an explicit "y"/"yes"; false when stdin is not a TTY
+ */
+export async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+
+  // Prompt on stderr so --json output on stdout stays parseable
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return ['y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
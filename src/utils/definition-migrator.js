@@ -0,0 +1,234 @@
+import { confirm } from './confirm.js';
+
+// Field properties metaobjectDefinitionUpdate can change (the type can't be changed)
+const UPDATABLE_PROPERTIES = ['name', 'description', 'required', 'validations'];
+
+/**
+ * Brings a metaobject definition in Shopify in line with the desired one: creates it
+ * when missing, otherwise adds, updates and removes fields with metaobjectDefinitionUpdate.
+ * Running it again once everything matches changes nothing.
+ */
+export class DefinitionMigrator {
+  constructor(shopifyClient) {
+    this.shopifyClient = shopifyClient;
+  }
+
+  /**
+   * Compares the desired definition with the current one
+   * @param {object} definition - MetaobjectDefinitionCreateInput
+   * @returns {object} - { definition, existing, changes }; changes are
+   *   { action: 'create' } for a missing definition, { action: 'rename'|'access', ... }
+   *   for definition properties, or per field { action: 'add'|'update'|'remove'|'retype', key, ... }
+   */
+  async diff(definition) {
+    const existing = await this.shopifyClient.getMetaobjectDefinition(definition.type);
+
+    if (!existing) {
+      return { definition, existing: null, changes: [{ action: 'create' }] };
+    }
+
+    const changes = [];
+
+    ['name', 'description'].forEach(property => {
+      if ((existing[property] || null) !== (definition[property] || null)) {
+        changes.push({ action: 'rename', property, from: existing[property], to: definition[property] });
+      }
+    });
+
+    const storefront = existing.access?.storefront || 'NONE';
+    if (definition.access?.storefront && storefront !== definition.access.storefront) {
+      changes.push({ action: 'access', from: storefront, to: definition.access.storefront });
+    }
+
+    const current = new Map(existing.fieldDefinitions.map(field => [field.key, field]));
+    const desiredKeys = new Set(definition.fieldDefinitions.map(field => field.key));
+
+    definition.fieldDefinitions.forEach(field => {
+      const currentField = current.get(field.key);
+
+      if (!currentField) {
+        changes.push({ action: 'add', key: field.key, field });
+        return;
+      }
+
+      if (currentField.type.name !== field.type) {
+        changes.push({ action: 'retype', key: field.key, from: currentField.type.name, to: field.type });
+        return;
+      }
+
+      const properties = UPDATABLE_PROPERTIES.filter(property =>
+        normalize(property, currentField[property]) !== normalize(property, field[property])
+      );
+
+      if (properties.length > 0) {
+        changes.push({ action: 'update', key: field.key, field, properties });
+      }
+    });
+
+    existing.fieldDefinitions
+      .filter(field => !desiredKeys.has(field.key))
+      .forEach(field => changes.push({ action: 'remove', key: field.key, type: field.type.name }));
+
+    return { definition, existing, changes };
+  }
+
+  /**
+   * Prints the changes of a diff
+   */
+  static printChanges({ changes }) {
+    if (changes.length === 0) {
+      console.log('  ✓ Up to date');
+      return;
+    }
+
+    changes.forEach(change => {
+      switch (change.action) {
+        case 'create':
+          console.log('  + Create the definition');
+          break;
+        case 'rename':
+          console.log(`  ~ Definition ${change.property}: "${change.from || ''}" → "${change.to || ''}"`);
+          break;
+        case 'access':
+          console.log(`  ~ Storefront access: ${change.from} → ${change.to}`);
+          break;
+        case 'add':
+          console.log(`  + ${change.key} (${change.field.type})`);
+          break;
+        case 'update':
+          console.log(`  ~ ${change.key}: ${change.properties.join(', ')}`);
+          break;
+        case 'remove':
+          console.log(`  - ${change.key} (${change.type}) - its values are deleted from every metaobject`);
+          break;
+        case 'retype':
+          console.log(`  ✗ ${change.key}: type ${change.from} → ${change.to} can't be changed in place; migrate it manually`);
+          break;
+      }
+    });
+  }
+
+  /**
+   * Diffs and, unless planning, applies one definition
+   * @param {object} definition - MetaobjectDefinitionCreateInput
+   * @param {object} options - { plan, yes, privateKeys }; plan only prints the changes, yes
+   *   removes fields without asking, privateKeys are fields that must be gone before the
+   *   storefront may read the definition
+   * @returns {object} - { type, status, changes, errors }; status is created, updated,
+   *   unchanged or planned
+   */
+  async migrate(definition, { plan = false, yes = false, privateKeys = [] } = {}) {
+    const diff = await this.diff(definition);
+    DefinitionMigrator.printChanges(diff);
+
+    const result = { type: definition.type, status: 'unchanged', changes: diff.changes, errors: 0 };
+
+    // A type change needs a new field and a data migration; never guess at it
+    result.errors = diff.changes.filter(change => change.action === 'retype').length;
+
+    if (diff.changes.length === 0) {
+      return result;
+    }
+
+    if (plan) {
+      result.status = 'planned';
+      return result;
+    }
+
+    if (!diff.existing) {
+      const payload = await this.shopifyClient.createMetaobjectDefinition(definition);
+      return this.finish(result, payload, 'created');
+    }
+
+    let changes = diff.changes.filter(change => change.action !== 'retype');
+    const removals = changes.filter(change => change.action === 'remove');
+
+    if (removals.length > 0 && !(await confirmRemoval(definition.type, removals, yes))) {
+      console.log(`  Keeping ${removals.length} field(s) (re-run with --yes to remove them)`);
+      changes = changes.filter(change => change.action !== 'remove');
+
+      // Access is per definition: opening it up would expose the kept personal data
+      const keptPrivate = removals.filter(change => privateKeys.includes(change.key));
+      if (keptPrivate.length > 0 && changes.some(change => change.action === 'access' && change.to !== 'NONE')) {
+        console.error(`  ❌ Storefront access stays off while ${keptPrivate.map(change => change.key).join(', ')} is in the definition`);
+        result.errors++;
+        changes = changes.filter(change => change.action !== 'access');
+      }
+    }
+
+    if (changes.length === 0) {
+      return result;
+    }
+
+    const update = { fieldDefinitions: [] };
+
+    changes.forEach(change => {
+      if (change.action === 'rename') {
+        update[change.property] = change.to;
+      } else if (change.action === 'access') {
+        update.access = { storefront: change.to };
+      } else if (change.action === 'add') {
+        update.fieldDefinitions.push({ create: change.field });
+      } else if (change.action === 'update') {
+        const { key, name, description, required = false, validations = [] } = change.field;
+        update.fieldDefinitions.push({ update: { key, name, description, required, validations } });
+      } else if (change.action === 'remove') {
+        update.fieldDefinitions.push({ delete: { key: change.key } });
+      }
+    });
+
+    const payload = await this.shopifyClient.updateMetaobjectDefinition(diff.existing.id, update);
+    return this.finish(result, payload, 'updated');
+  }
+
+  finish(result, payload, status) {
+    if (payload.userErrors.length > 0) {
+      payload.userErrors.forEach(error => {
+        console.error(`  ❌ ${error.message}${error.code ? ` (${error.code})` : ''}`);
+      });
+      result.errors += payload.userErrors.length;
+      return result;
+    }
+
+    result.status = status;
+    console.log(`  ✓ Definition ${status} (${payload.metaobjectDefinition.fieldDefinitions.length} fields)`);
+    return result;
+  }
+}
+
+/**
+ * Field removals delete data, so they need --yes or an explicit answer
+ */
+async function confirmRemoval(type, removals, yes) {
+  if (yes) {
+    return true;
+  }
+
+  const keys = removals.map(change => change.key).join(', ');
+  return confirm(`  Remove ${keys} from ${type}, with their values on every metaobject?`);
+}
+
+/**
+ * Puts a field property in a comparable form: missing descriptions, required flags
+ * and validations have defaults, and validation JSON may be formatted differently
+ */
+function normalize(property, value) {
+  switch (property) {
+    case 'required':
+      return Boolean(value);
+    case 'validations':
+      return JSON.stringify((value || [])
+        .map(validation => ({ name: validation.name, value: normalizeJson(validation.value) }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    default:
+      return value || null;
+  }
+}
+
+function normalizeJson(value) {
+  try {
+    return JSON.stringify(JSON.parse(value));
+  } catch (error) {
+    return value;
+  }
+}
@@ -0,0 +1,201 @@
+import { RetryPolicy } from './retry-policy.js';
+import { runOrdered } from './worker-pool.js';
+import { getReviewMedia } from '../transformers/review-transformer.js';
+
+// Used when the download's Content-Type doesn't say what the file is
+const MIME_TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+};
+
+// Largest download we upload, per kind; downloads are held in memory for the
+// upload. Images match Shopify's own limit.
+const MAX_BYTES = {
+  image: 20 * 1024 * 1024,
+  video: 100 * 1024 * 1024,
+};
+
+/**
+ * Copies review photos and videos from Yotpo to Shopify Files.
+ * Each source URL is uploaded once and its file GID kept in the sync cache;
+ * URLs that aren't image/video files (e.g. YouTube links), are larger than
+ * MAX_BYTES or can't be downloaded (404, 403, ...) are recorded as skipped.
+ */
+export class MediaUploader {
+  /**
+   * @param {object} options - { retry }: RetryPolicy options for downloads from Yotpo
+   */
+  constructor(shopifyClient, syncCache, { retry = {} } = {}) {
+    this.shopifyClient = shopifyClient;
+    this.syncCache = syncCache;
+    this.retryPolicy = new RetryPolicy(retry);
+  }
+
+  /**
+   * Media of these reviews that hasn't been uploaded (or skipped) yet, one entry per URL
+   * @returns {Array} - { url, kind, reviewId }
+   */
+  getMissing(reviews) {
+    const missing = new Map();
+
+    reviews.forEach(review => {
+      getReviewMedia(review).forEach(media => {
+        if (!this.syncCache.hasMedia(media.url) && !missing.has(media.url)) {
+          missing.set(media.url, { ...media, reviewId: review.id });
+        }
+      });
+    });
+
+    return [...missing.values()];
+  }
+
+  /**
+   * Uploads the media of these reviews that isn't in Shopify yet
+   * @param {object} options - { concurrency }: uploads in flight at once
+   * @returns {object} - { uploaded, skipped, errors }
+   */
+  async uploadAll(reviews, { concurrency = 1 } = {}) {
+    const missing = this.getMissing(reviews);
+    const counts = { uploaded: 0, skipped: 0, errors: 0 };
+
+    await runOrdered(missing, {
+      concurrency,
+      worker: media => this.upload(media).catch(error => ({ error })),
+      onResult: (result, media, i) => {
+        const progress = `[${i + 1}/${missing.length}]`;
+        const label = `${media.kind} of review #${media.reviewId}`;
+
+        if (result.error) {
+          console.error(`  ✗ ${progress} Failed to upload ${label}: ${result.error.message}`);
+          counts.errors++;
+        } else if (result.skipped) {
+          console.log(`  ⊘ ${progress} Skipped ${label}: ${result.skipped}`);
+          this.syncCache.markMediaSkipped(media.url, result.skipped);
+          counts.skipped++;
+        } else {
+          console.log(`  ✓ ${progress} Uploaded ${label}`);
+          this.syncCache.setMediaFileId(media.url, result.fileId);
+          counts.uploaded++;
+        }
+      },
+    });
+
+    return counts;
+  }
+
+  /**
+   * Downloads one file from Yotpo and uploads it to Shopify
+   * @returns {object} - { fileId }, or { skipped: reason } when it isn't an image/video file,
+   *   is too large or is gone
+   */
+  async upload({ url, kind, reviewId }) {
+    const response = await this.retryPolicy.fetch(url, {}, 'Media download');
+
+    // A 4xx other than 429 (404, 403, 410, ...) won't change; anything else is retried next run
+    if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+      response.body?.resume();
+      return { skipped: `download failed (${response.status} ${response.statusText})` };
+    }
+
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    }
+
+    const filename = getFilename(url);
+    const mimeType = getMimeType(response.headers.get('content-type'), filename);
+
+    if (!mimeType.startsWith(`${kind}/`)) {
+      response.body?.resume();
+      return { skipped: `unsupported file type ${mimeType || '(unknown)'}` };
+    }
+
+    const maxBytes = MAX_BYTES[kind];
+    const tooLarge = { skipped: `larger than ${maxBytes / 1024 / 1024} MB` };
+
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      response.body?.resume();
+      return tooLarge;
+    }
+
+    const data = await readBody(response, maxBytes);
+    if (!data) {
+      return tooLarge;
+    }
+
+    const fileId = await this.shopifyClient.uploadFile({
+      data,
+      filename,
+      mimeType,
+      contentType: kind.toUpperCase(),
+      alt: `Customer ${kind} from review #${reviewId}`,
+    });
+
+    return { fileId };
+  }
+
+  /**
+   * Shopify file GIDs for a review's media, in Yotpo's order
+   * @returns {object} - { fileIds, complete }; complete is false while some media
+   *   still has to be uploaded
+   */
+  getFileIds(review) {
+    const fileIds = [];
+    let complete = true;
+
+    getReviewMedia(review).forEach(media => {
+      if (!this.syncCache.hasMedia(media.url)) {
+        complete = false;
+        return;
+      }
+
+      const fileId = this.syncCache.getMediaFileId(media.url);
+      if (fileId) {
+        fileIds.push(fileId);
+      }
+    });
+
+    return { fileIds, complete };
+  }
+}
+
+/**
+ * Reads a response body, stopping as soon as it grows past maxBytes
+ * (Content-Length can be missing)
+ * @returns {Buffer|null} - null when the body is too large
+ */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.body.destroy();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+function getFilename(url) {
+  const name = new URL(url).pathname.split('/').filter(Boolean).pop();
+  return name ? decodeURIComponent(name) : 'review-media';
+}
+
+function getMimeType(contentType, filename) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mimeType && mimeType !== 'application/octet-stream') {
+    return mimeType;
+  }
+
+  const extension = filename.split('.').pop().toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || '';
+}
@@ -24,8 +24,24 @@ export class ProductMapper {
       return;
     }
 
-    console.log('Building product lookup cache (SKU + ID)...');
+    console.log(`Building product lookup cache (SKU + ID)${this.shopifyClient.useBulkOperations ? ' with a bulk operation' : ''}...`);
 
+    if (this.shopifyClient.useBulkOperations) {
+      await this.loadProductsBulk();
+    } else {
+      await this.loadProductsPaged();
+    }
+
+    this.cacheFetched = true;
+    console.log(`✓ Cached ${this.idToProductCache.size} products:`);
+    console.log(`  - ${this.skuToProductCache.size} variant SKUs`);
+    console.log(`  - ${this.idToProductCache.size} product IDs\n`);
+  }
+
+  /**
+   * Pages through products 250 at a time (only the first 100 variants of each)
+   */
+  async loadProductsPaged() {
     const query = `
       query GetProducts($cursor: String) {
         products(first: 250, after: $cursor) {
@@ -65,25 +81,11 @@ export class ProductMapper {
         const productsInBatch = data.products.edges.length;
 
         data.products.edges.forEach(({ node: product }) => {
-          const productData = {
-            productId: product.id,
-            productTitle: product.title,
-            variantIds: [],
-          };
-
-          // Extract numeric ID for Yotpo matching
-          const numericId = this.extractNumericId(product.id);
-          if (numericId) {
-            this.idToProductCache.set(numericId, productData);
-          }
+          const productData = this.addProduct(product);
 
           // Also map by variant SKUs
           product.variants.edges.forEach(({ node: variant }) => {
-            productData.variantIds.push(variant.id);
-
-            if (variant.sku) {
-              this.skuToProductCache.set(variant.sku, productData);
-            }
+            this.addVariant(productData, variant);
           });
 
           totalProducts++;
@@ -94,21 +96,87 @@ export class ProductMapper {
 
         // Log progress
         console.log(`  Fetched page ${pageCount}: ${productsInBatch} products (total: ${totalProducts})`);
-
-        // Rate limiting: pause between requests to avoid throttling
-        if (hasNextPage) {
-          await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay
-        }
       } catch (error) {
         console.error(`  Error fetching page ${pageCount}:`, error.message);
         throw error;
       }
     }
+  }
 
-    this.cacheFetched = true;
-    console.log(`✓ Cached ${totalProducts} products:`);
-    console.log(`  - ${this.skuToProductCache.size} variant SKUs`);
-    console.log(`  - ${this.idToProductCache.size} product IDs\n`);
+  /**
+   * Exports every product and every variant with a bulk operation
+   */
+  async loadProductsBulk() {
+    const query = `
+      {
+        products {
+          edges {
+            node {
+              id
+              title
+              variants {
+                edges {
+                  node {
+                    id
+                    sku
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    // Variant rows point at their product via __parentId; keep any that arrive before it
+    const waitingVariants = new Map();
+
+    for await (const row of this.shopifyClient.runBulkQuery(query)) {
+      if (!row.__parentId) {
+        const productData = this.addProduct(row);
+        (waitingVariants.get(row.id) || []).forEach(variant => this.addVariant(productData, variant));
+        waitingVariants.delete(row.id);
+        continue;
+      }
+
+      const productData = this.idToProductCache.get(this.extractNumericId(row.__parentId));
+      if (productData) {
+        this.addVariant(productData, row);
+      } else {
+        if (!waitingVariants.has(row.__parentId)) {
+          waitingVariants.set(row.__parentId, []);
+        }
+        waitingVariants.get(row.__parentId).push(row);
+      }
+    }
+  }
+
+  /**
+   * Adds a product to the ID lookup
+   * @returns {object} - The cached product data, for addVariant
+   */
+  addProduct(product) {
+    const productData = {
+      productId: product.id,
+      productTitle: product.title,
+      variantIds: [],
+    };
+
+    // Extract numeric ID for Yotpo matching
+    const numericId = this.extractNumericId(product.id);
+    if (numericId) {
+      this.idToProductCache.set(numericId, productData);
+    }
+
+    return productData;
+  }
+
+  addVariant(productData, variant) {
+    productData.variantIds.push(variant.id);
+
+    if (variant.sku) {
+      this.skuToProductCache.set(variant.sku, productData);
+    }
   }
 
   /**
@@ -0,0 +1,120 @@
+// Cost assumed for an operation Shopify hasn't reported a cost for yet
+const DEFAULT_COST = 50;
+
+/**
+ * Leaky-bucket model of Shopify's GraphQL cost limit.
+ *
+ * Every response reports the bucket (extensions.cost.throttleStatus) and what the
+ * query cost; between responses the bucket refills at restoreRate points per second.
+ * Before each request we wait until the bucket holds that operation's last known
+ * cost and reserve it, so requests go out as fast as the limit allows without being
+ * throttled. A response settles its own reservation against the actual cost; the
+ * reservations of requests still in flight stay deducted.
+ */
+export class CostRateLimiter {
+  constructor() {
+    this.maximumAvailable = null; // unknown until the first response
+    this.currentlyAvailable = 0;
+    this.restoreRate = 0;
+    this.updatedAt = 0;
+    this.reserved = 0; // points reserved by requests still in flight
+    this.costs = new Map(); // operation name → last requestedQueryCost
+  }
+
+  /**
+   * Points available right now, assuming the bucket refilled since the last update
+   */
+  getAvailable(now = Date.now()) {
+    if (this.maximumAvailable === null) {
+      return Infinity;
+    }
+
+    const restored = ((now - this.updatedAt) / 1000) * this.restoreRate;
+    return Math.min(this.maximumAvailable, this.currentlyAvailable + restored);
+  }
+
+  /**
+   * Milliseconds to wait before the bucket can afford the operation
+   */
+  getDelay(operation) {
+    if (this.maximumAvailable === null || !this.restoreRate) {
+      return 0;
+    }
+
+    // Never wait for more than a full bucket; an oversized query fails on its own
+    const cost = Math.min(this.getCost(operation), this.maximumAvailable);
+    const missing = cost - this.getAvailable();
+
+    return missing > 0 ? Math.ceil((missing / this.restoreRate) * 1000) : 0;
+  }
+
+  getCost(operation) {
+    return this.costs.get(operation) ?? DEFAULT_COST;
+  }
+
+  /**
+   * Waits until the operation fits in the bucket, then reserves its cost
+   * @returns {number} - Points reserved; pass them to record() with the response
+   */
+  async acquire(operation) {
+    let delay = this.getDelay(operation);
+
+    while (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = this.getDelay(operation);
+    }
+
+    if (this.maximumAvailable === null) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const reservation = this.getCost(operation);
+    this.currentlyAvailable = this.getAvailable(now) - reservation;
+    this.updatedAt = now;
+    this.reserved += reservation;
+
+    return reservation;
+  }
+
+  /**
+   * Settles a request's reservation and updates the model from its response's extensions.cost
+   * @param {string} operation - Operation name the cost belongs to
+   * @param {object|undefined} cost - { requestedQueryCost, actualQueryCost, throttleStatus };
+   *   missing when the request failed, in which case the reservation is kept as spent
+   * @param {number} reservation - What acquire() reserved for the request
+   */
+  record(operation, cost, reservation = 0) {
+    this.reserved = Math.max(0, this.reserved - reservation);
+
+    if (!cost) {
+      return;
+    }
+
+    if (cost.requestedQueryCost != null) {
+      this.costs.set(operation, cost.requestedQueryCost);
+    }
+
+    if (!cost.throttleStatus) {
+      return;
+    }
+
+    const now = Date.now();
+    const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+
+    // Shopify's figure includes this request, but not those still in flight
+    const reported = currentlyAvailable - this.reserved;
+
+    if (this.maximumAvailable === null) {
+      this.currentlyAvailable = reported;
+    } else {
+      // Throttled requests aren't charged (no actualQueryCost), so the whole reservation comes back
+      const settled = this.getAvailable(now) + reservation - (cost.actualQueryCost ?? 0);
+      this.currentlyAvailable = Math.min(settled, reported);
+    }
+
+    this.maximumAvailable = maximumAvailable;
+    this.restoreRate = restoreRate;
+    this.updatedAt = now;
+  }
+}
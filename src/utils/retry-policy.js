@@ -0,0 +1,150 @@
+import fetch from 'node-fetch';
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Connection-level failures worth another try (node-fetch puts the system error code on FetchError)
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Failures that mean the server never saw the request, so even a request that
+// isn't safe to repeat can be retried
+const NOT_RECEIVED_STATUSES = [429];
+const NOT_RECEIVED_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+const DEFAULTS = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  timeoutMs: 30000, // until the response headers arrive
+};
+
+/**
+ * Retries HTTP requests that fail for transient reasons: 429 and 5xx responses,
+ * timeouts and dropped connections. Waits follow Retry-After when the server sends
+ * it, and exponential backoff with jitter otherwise. Each client owns one policy,
+ * and `retries` counts the retries it made.
+ *
+ * Requests that aren't idempotent (ones that create something) are only retried
+ * when the server certainly didn't process them, so a retry can't create a duplicate.
+ */
+export class RetryPolicy {
+  constructor(options = {}) {
+    const { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs } = { ...DEFAULTS, ...options };
+
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.retries = 0;
+  }
+
+  /**
+   * Reads <PREFIX>_RETRY_ATTEMPTS and <PREFIX>_TIMEOUT_MS, e.g. SHOPIFY_RETRY_ATTEMPTS
+   * @returns {object} - Options for the constructor (only the ones that are set)
+   */
+  static optionsFromEnv(env, prefix) {
+    const options = {};
+
+    const maxAttempts = Number(env[`${prefix}_RETRY_ATTEMPTS`]);
+    if (Number.isInteger(maxAttempts) && maxAttempts > 0) {
+      options.maxAttempts = maxAttempts;
+    }
+
+    const timeoutMs = Number(env[`${prefix}_TIMEOUT_MS`]);
+    if (timeoutMs > 0) {
+      options.timeoutMs = timeoutMs;
+    }
+
+    return options;
+  }
+
+  /**
+   * fetch() with retries
+   * @param {string} url - Request URL
+   * @param {object} init - fetch options
+   * @param {string} label - Names the request in retry logs
+   * @param {object} options - { idempotent }: false limits retries to requests the server never received
+   * @returns {Response} - The first response that isn't retryable, or the last one
+   */
+  async fetch(url, init = {}, label = 'Request', { idempotent = true } = {}) {
+    const retryableStatuses = idempotent ? RETRYABLE_STATUSES : NOT_RECEIVED_STATUSES;
+    const retryableErrorCodes = idempotent ? RETRYABLE_ERROR_CODES : NOT_RECEIVED_ERROR_CODES;
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+
+      try {
+        response = await this.fetchWithTimeout(url, init);
+      } catch (error) {
+        if (attempt >= this.maxAttempts || !retryableErrorCodes.includes(error.code)) {
+          throw error;
+        }
+
+        // Log the code only: node-fetch messages contain the URL, which may carry a token
+        await this.wait(attempt, null, label, error.code);
+        continue;
+      }
+
+      if (retryableStatuses.includes(response.status) && attempt < this.maxAttempts) {
+        // Free the connection; we won't read this body
+        response.body?.resume();
+        await this.wait(attempt, response.headers.get('retry-after'), label, `HTTP ${response.status}`);
+        continue;
+      }
+
+      return response;
+    }
+  }
+
+  async fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeout = new Error(`Request timed out after ${this.timeoutMs}ms`);
+        timeout.code = 'ETIMEDOUT';
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async wait(attempt, retryAfter, label, reason) {
+    const delay = parseRetryAfter(retryAfter) ?? this.getBackoff(attempt);
+    this.retries++;
+
+    console.log(`  ↻ ${label} failed (${reason}), retry ${attempt}/${this.maxAttempts - 1} in ${(delay / 1000).toFixed(1)}s`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Exponential backoff with jitter: half the delay is fixed, half random,
+   * so clients that failed together don't retry together
+   */
+  getBackoff(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date
+ * @returns {number|null} - Milliseconds to wait, or null when absent/unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,131 @@
+import { getReviewDefinitions } from '../setup-metaobject-definition.js';
+import { getPrivateFieldKeys } from '../transformers/field-mapping.js';
+import { STATISTICS_DEFINITION } from '../setup-statistics-definition.js';
+import { getQuestionDefinition } from '../setup-question-definition.js';
+import { PRODUCT_METAFIELDS } from '../config/product-metafields.js';
+import { SCHEMA_VERSION, SCHEMA_VERSION_METAFIELD } from '../config/schema.js';
+
+export const ALL_TYPES = ['yotpo_product_review', 'yotpo_brand_review', 'yotpo_review_statistics', 'yotpo_product_question'];
+
+// Live field types that accept values written for the expected type
+const COMPATIBLE_TYPES = {
+  single_line_text_field: ['multi_line_text_field'],
+};
+
+/**
+ * Fields the sync writes per metaobject type: the review and question mappings and the statistics definition
+ */
+function getExpectedDefinitions() {
+  return [...getReviewDefinitions(), STATISTICS_DEFINITION, getQuestionDefinition()];
+}
+
+/**
+ * Compares the live definitions with the fields the sync writes
+ * @param {ShopifyClient} shopifyClient - Client to read the definitions with
+ * @param {Array} types - Metaobject types to check
+ * @returns {object} - { problems: [{ type, key, message }], definitions: { [type]: live
+ *   definition or null }, recordedVersion }; product metafield problems have the type
+ *   product_metafield
+ */
+export async function checkSchema(shopifyClient, types = ALL_TYPES) {
+  const problems = [];
+  const definitions = {};
+
+  for (const expected of getExpectedDefinitions().filter(definition => types.includes(definition.type))) {
+    const live = await shopifyClient.getMetaobjectDefinition(expected.type);
+    definitions[expected.type] = live;
+
+    if (!live) {
+      problems.push({ type: expected.type, key: null, message: 'definition not found' });
+      continue;
+    }
+
+    const liveFields = new Map(live.fieldDefinitions.map(field => [field.key, field]));
+    const expectedKeys = new Set(expected.fieldDefinitions.map(field => field.key));
+
+    expected.fieldDefinitions.forEach(field => {
+      const liveField = liveFields.get(field.key);
+
+      if (!liveField) {
+        problems.push({ type: expected.type, key: field.key, message: `missing (expected ${field.type})` });
+      } else if (!isCompatible(field.type, liveField.type.name)) {
+        problems.push({ type: expected.type, key: field.key, message: `is ${liveField.type.name}, expected ${field.type}` });
+      }
+    });
+
+    // Required fields the sync never fills make every create fail
+    live.fieldDefinitions
+      .filter(field => field.required && !expectedKeys.has(field.key))
+      .forEach(field => {
+        problems.push({ type: expected.type, key: field.key, message: 'is required, but the sync never writes it' });
+      });
+
+    // Access is per definition, so personal data would be readable by anyone
+    if (live.access?.storefront === 'PUBLIC_READ') {
+      const privateKeys = getPrivateFieldKeys();
+      live.fieldDefinitions
+        .filter(field => privateKeys.includes(field.key))
+        .forEach(field => {
+          problems.push({ type: expected.type, key: field.key, message: 'is private, but the definition is readable from the storefront' });
+        });
+    }
+  }
+
+  // Reference metafields can't be set without their definition
+  for (const metafield of PRODUCT_METAFIELDS.filter(metafield => types.includes(metafield.source))) {
+    const live = await shopifyClient.getMetafieldDefinition('PRODUCT', metafield.namespace, metafield.key);
+    const key = `${metafield.namespace}.${metafield.key}`;
+
+    if (live && live.type.name !== metafield.type) {
+      problems.push({ type: 'product_metafield', key, message: `is ${live.type.name}, expected ${metafield.type}` });
+    } else if (!live && !metafield.standard) {
+      problems.push({ type: 'product_metafield', key, message: 'definition not found' });
+    }
+  }
+
+  const { namespace, key } = SCHEMA_VERSION_METAFIELD;
+  const recorded = await shopifyClient.getShopMetafield(namespace, key);
+
+  return { problems, definitions, recordedVersion: recorded === null ? null : Number(recorded) };
+}
+
+/**
+ * Checks the schema before a sync writes anything, and stops with a report when
+ * Shopify doesn't match (instead of one userError per record)
+ * @param {ShopifyClient} shopifyClient - Client to read the definitions with
+ * @param {Array} types - Metaobject types the run writes
+ */
+export async function assertSchema(shopifyClient, types = ALL_TYPES) {
+  console.log('🔎 Checking metaobject definitions...');
+  const { problems, recordedVersion } = await checkSchema(shopifyClient, types);
+
+  if (problems.length > 0) {
+    console.error(`\n❌ Shopify's metaobject definitions don't match what the sync writes:`);
+    problems.forEach(problem => {
+      console.error(`  - ${formatSubject(problem)}: ${problem.message}`);
+    });
+    console.error('\nRun "yotpo-sync setup --plan" to see the fix, then "yotpo-sync setup" to apply it.\n');
+    throw new Error(`Schema check failed (${problems.length} problem${problems.length === 1 ? '' : 's'})`);
+  }
+
+  if (recordedVersion !== null && recordedVersion < SCHEMA_VERSION) {
+    console.log(`⚠️  Shopify is on schema version ${recordedVersion}, this version expects ${SCHEMA_VERSION}; run "yotpo-sync setup"`);
+  }
+
+  console.log(`✓ Definitions match (${types.length} types)\n`);
+}
+
+/**
+ * What a problem is about: "type.key", or "product metafield namespace.key"
+ */
+export function formatSubject(problem) {
+  if (problem.type === 'product_metafield') {
+    return `product metafield ${problem.key}`;
+  }
+
+  return `${problem.type}${problem.key ? `.${problem.key}` : ''}`;
+}
+
+function isCompatible(expectedType, liveType) {
+  return expectedType === liveType || (COMPATIBLE_TYPES[expectedType] || []).includes(liveType);
+}
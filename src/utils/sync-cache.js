@@ -1,5 +1,17 @@
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { createHash } from 'crypto';
+import { getReviewMedia, getReviewReply, getReviewBadges, getCustomQuestions } from '../transformers/review-transformer.js';
+import { getQuestionAnswers, getQuestionSku } from '../transformers/question-transformer.js';
+
+// Review fields kept for statistics, so incremental runs don't need every review from Yotpo.
+// Bump SNAPSHOT_VERSION when this list changes to force one full fetch.
+const SNAPSHOT_FIELDS = ['id', 'sku', 'score', 'title', 'content', 'created_at', 'updated_at', 'sentiment', 'votes_up'];
+const SNAPSHOT_VERSION = 2;
+
+// Metaobject types whose sync hashes are kept apart from the reviews' (their IDs may overlap)
+const HASH_COLLECTIONS = {
+  yotpo_product_question: 'questions',
+};
 
 export class SyncCache {
   constructor(cacheFilePath = '.sync-cache.json') {
@@ -32,17 +44,25 @@ export class SyncCache {
   createEmptyCache() {
     return {
       lastSync: null,
-      reviews: {}, // yotpo_id → { hash, lastSynced }
+      reviews: {}, // yotpo_id → { hash, lastSynced, removed? }
+      questions: {}, // Yotpo question ID → { hash, lastSynced }
+      snapshotVersion: null,
+      snapshots: {}, // yotpo_id → active review (SNAPSHOT_FIELDS only)
+      pending: {}, // yotpo_id → raw review fetched but not yet synced
+      media: {}, // Yotpo media URL → { fileId, uploadedAt } in Shopify Files, or { fileId: null, skipped }
     };
   }
 
   /**
    * Saves the cache to disk
+   * @param {object} options - { quiet }; quiet skips the log line (used by checkpoints)
    */
-  saveCache() {
+  saveCache({ quiet = false } = {}) {
     try {
       writeFileSync(this.cacheFilePath, JSON.stringify(this.cache, null, 2));
-      console.log(`\n✓ Cache saved: ${Object.keys(this.cache.reviews).length} reviews tracked`);
+      if (!quiet) {
+        console.log(`\n✓ Cache saved: ${Object.keys(this.cache.reviews).length} reviews tracked`);
+      }
     } catch (error) {
       console.error('⚠️  Failed to save cache:', error.message);
     }
@@ -63,12 +83,45 @@ export class SyncCache {
       deleted: review.deleted,
       archived: review.archived,
       updated_at: review.updated_at,
+      // An added or edited store reply re-syncs the review
+      reply: getReviewReply(review) || undefined,
+      // Left out when empty/false, so reviews without them keep their hash
+      custom_questions: getCustomQuestionsForHash(review),
+      badges: hasBadges(review) ? getReviewBadges(review) : undefined,
+      media: getReviewMediaUrls(review),
     };
 
     const dataString = JSON.stringify(relevantFields);
     return createHash('md5').update(dataString).digest('hex');
   }
 
+  /**
+   * Creates a hash of the question data we write, answers included
+   */
+  createQuestionHash(question) {
+    const relevantFields = {
+      content: question.content,
+      asker: question.asker?.display_name,
+      sku: getQuestionSku(question),
+      votes_up: question.votes_up,
+      votes_down: question.votes_down,
+      deleted: question.deleted,
+      answers: getQuestionAnswers(question),
+    };
+
+    return createHash('md5').update(JSON.stringify(relevantFields)).digest('hex');
+  }
+
+  /**
+   * Checks if a question is new or changed since it was last synced
+   */
+  questionNeedsSync(question) {
+    const entry = (this.cache.questions || {})[question.id.toString()];
+
+    // A question we removed from Shopify has been restored in Yotpo
+    return !entry || Boolean(entry.removed) || entry.hash !== this.createQuestionHash(question);
+  }
+
   /**
    * Checks if a review needs to be synced
    * @param {object} review - Yotpo review object
@@ -83,6 +136,11 @@ export class SyncCache {
       return true;
     }
 
+    // If we removed it from Shopify, it has been restored in Yotpo
+    if (this.cache.reviews[yotpoId].removed) {
+      return true;
+    }
+
     // If hash changed, it was updated
     const cachedHash = this.cache.reviews[yotpoId].hash;
     return currentHash !== cachedHash;
@@ -93,15 +151,65 @@ export class SyncCache {
    * @param {object} review - Yotpo review object
    */
   markSynced(review) {
-    const yotpoId = review.id.toString();
-    const hash = this.createReviewHash(review);
+    this.markSyncedHash(review.id, this.createReviewHash(review));
+  }
 
-    this.cache.reviews[yotpoId] = {
+  /**
+   * Records a sync using a hash computed earlier (e.g. stored in a saved plan)
+   * @param {string|number} yotpoId - Yotpo review (or question) ID
+   * @param {string} hash - Hash from createReviewHash (or createQuestionHash)
+   * @param {string|null} type - Metaobject type written; questions are tracked separately
+   */
+  markSyncedHash(yotpoId, hash, type = null) {
+    this.getCollection(type)[yotpoId.toString()] = {
       hash,
       lastSynced: new Date().toISOString(),
     };
   }
 
+  /**
+   * Records that a review (or question) was removed in Yotpo and handled in Shopify
+   * @param {string|number} yotpoId - Yotpo review or question ID
+   * @param {string} policy - Removal policy applied (deactivate, unpublish, delete)
+   * @param {string|null} type - Metaobject type; questions are tracked separately
+   */
+  markRemoved(yotpoId, policy, type = null) {
+    const entries = this.getCollection(type);
+    const entry = entries[yotpoId.toString()] || {};
+
+    entries[yotpoId.toString()] = {
+      ...entry,
+      removed: policy,
+      lastSynced: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Returns the removal policy applied to a review (or question), or null if it is live
+   */
+  getRemovedPolicy(yotpoId, type = null) {
+    const entry = this.getCollection(type)[yotpoId.toString()];
+    return (entry && entry.removed) || null;
+  }
+
+  /**
+   * Stops tracking a review (or question) entirely (e.g. after its metaobject was deleted)
+   */
+  forget(yotpoId, type = null) {
+    delete this.getCollection(type)[yotpoId.toString()];
+  }
+
+  /**
+   * Sync entries of a metaobject type: reviews, or a collection of HASH_COLLECTIONS
+   */
+  getCollection(type) {
+    const collection = HASH_COLLECTIONS[type] || 'reviews';
+    if (!this.cache[collection]) {
+      this.cache[collection] = {};
+    }
+    return this.cache[collection];
+  }
+
   /**
    * Gets sync statistics
    */
@@ -109,14 +217,123 @@ export class SyncCache {
     return {
       totalCached: Object.keys(this.cache.reviews).length,
       lastSync: this.cache.lastSync,
+      activeReviews: Object.keys(this.cache.snapshots || {}).length,
+      pending: Object.keys(this.cache.pending || {}).length,
+      media: Object.keys(this.cache.media || {}).length,
+      questions: Object.keys(this.cache.questions || {}).length,
     };
   }
 
   /**
    * Updates the last sync timestamp
+   * @param {string} timestamp - ISO time the synced data was fetched (defaults to now)
+   */
+  updateLastSyncTime(timestamp = new Date().toISOString()) {
+    this.cache.lastSync = timestamp;
+  }
+
+  /**
+   * Start of the next incremental fetch: the last sync minus a safety overlap
+   * @param {number} overlapMinutes - How far before lastSync to start
+   * @returns {Date|null} - null when a full fetch is required (first run or outdated snapshots)
+   */
+  getIncrementalSince(overlapMinutes) {
+    if (!this.cache.lastSync || this.cache.snapshotVersion !== SNAPSHOT_VERSION) {
+      return null;
+    }
+
+    return new Date(new Date(this.cache.lastSync).getTime() - overlapMinutes * 60 * 1000);
+  }
+
+  /**
+   * Updates the review snapshots used for statistics
+   * @param {Array} reviews - Fetched Yotpo reviews
+   * @param {function} isActive - Decides which reviews count (e.g. shouldSyncReview)
+   * @param {boolean} replace - True when reviews is the complete set (full fetch)
+   */
+  updateSnapshots(reviews, isActive, replace) {
+    if (replace || !this.cache.snapshots) {
+      this.cache.snapshots = {};
+      this.cache.snapshotVersion = SNAPSHOT_VERSION;
+    }
+
+    reviews.forEach(review => {
+      const yotpoId = review.id.toString();
+
+      if (isActive(review)) {
+        this.cache.snapshots[yotpoId] = Object.fromEntries(
+          SNAPSHOT_FIELDS.filter(field => field in review).map(field => [field, review[field]])
+        );
+      } else {
+        delete this.cache.snapshots[yotpoId];
+      }
+    });
+  }
+
+  /**
+   * Gets every active review snapshot (for statistics)
+   */
+  getSnapshots() {
+    return Object.values(this.cache.snapshots || {});
+  }
+
+  /**
+   * Remembers reviews that were fetched but not synced (errors, --limit, SKU misses),
+   * so incremental runs retry them even though Yotpo won't return them again
+   */
+  setPendingReviews(reviews) {
+    this.cache.pending = Object.fromEntries(reviews.map(review => [review.id.toString(), review]));
+  }
+
+  /**
+   * Gets reviews left over from earlier runs
+   */
+  getPendingReviews() {
+    return Object.values(this.cache.pending || {});
+  }
+
+  /**
+   * Checks whether a Yotpo media URL was handled already (uploaded or skipped)
    */
-  updateLastSyncTime() {
-    this.cache.lastSync = new Date().toISOString();
+  hasMedia(url) {
+    return Boolean((this.cache.media || {})[url]);
+  }
+
+  /**
+   * Gets the Shopify file a Yotpo media URL was uploaded to
+   * @returns {string|null} - File GID, or null if it wasn't uploaded
+   */
+  getMediaFileId(url) {
+    const entry = (this.cache.media || {})[url];
+    return entry ? entry.fileId : null;
+  }
+
+  /**
+   * Records an uploaded media file, so it isn't uploaded again
+   */
+  setMediaFileId(url, fileId) {
+    if (!this.cache.media) {
+      this.cache.media = {};
+    }
+
+    this.cache.media[url] = {
+      fileId,
+      uploadedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Records media that can't be uploaded (not an image/video file), so it isn't tried again
+   */
+  markMediaSkipped(url, reason) {
+    if (!this.cache.media) {
+      this.cache.media = {};
+    }
+
+    this.cache.media[url] = {
+      fileId: null,
+      skipped: reason,
+    };
   }
 
   /**
@@ -127,3 +344,17 @@ export class SyncCache {
     console.log('✓ Cache cleared');
   }
 }
+
+function getReviewMediaUrls(review) {
+  const urls = getReviewMedia(review).map(media => media.url);
+  return urls.length > 0 ? urls : undefined;
+}
+
+function getCustomQuestionsForHash(review) {
+  const answers = getCustomQuestions(review);
+  return answers.length > 0 ? answers : undefined;
+}
+
+function hasBadges(review) {
+  return Object.values(getReviewBadges(review)).some(Boolean);
+}
@@ -0,0 +1,215 @@
+import { readFileSync, writeFileSync, appendFileSync, existsSync, rmSync } from 'fs';
+import { SyncPlan } from './sync-plan.js';
+
+// Version 2: stats hold media and question counts
+const CHECKPOINT_VERSION = 2;
+
+// Progress is written at most this often while applying, plus at every phase change
+const CHECKPOINT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Progress of a running sync, so an interrupted run can continue with `sync --resume`.
+ *
+ * Three files sit next to the sync cache:
+ * - <file>.json: phase (fetch → apply → statistics), run options, next Yotpo page,
+ *   indexes of plan actions already applied
+ * - <file>.reviews.jsonl: reviews fetched so far, appended page by page
+ * - <file>.plan.json: the plan being applied
+ *
+ * A disabled checkpoint (dry runs) accepts every call and writes nothing.
+ */
+export class SyncCheckpoint {
+  constructor({ filePath = '.sync-checkpoint.json', syncCache = null, enabled = true } = {}) {
+    this.filePath = filePath;
+    this.reviewsFilePath = filePath.replace(/\.json$/, '.reviews.jsonl');
+    this.planFilePath = filePath.replace(/\.json$/, '.plan.json');
+    this.syncCache = syncCache;
+    this.enabled = enabled;
+    this.state = null;
+    this.lastSavedAt = 0;
+  }
+
+  /**
+   * Loads the checkpoint of an interrupted run
+   * @returns {object|null} - Checkpoint state, or null when there is none (or it is unreadable)
+   */
+  load() {
+    if (!existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      const state = JSON.parse(readFileSync(this.filePath, 'utf8'));
+
+      if (state.version !== CHECKPOINT_VERSION) {
+        console.log(`⚠️  Ignoring checkpoint with unsupported version ${state.version}\n`);
+        return null;
+      }
+
+      // Dates were serialized as ISO strings
+      state.fetchSince = state.fetchSince ? new Date(state.fetchSince) : null;
+      state.options.since = state.options.since ? new Date(state.options.since) : null;
+
+      this.state = state;
+      return state;
+    } catch (error) {
+      console.log(`⚠️  Failed to load checkpoint (${error.message})\n`);
+      return null;
+    }
+  }
+
+  /**
+   * Starts a new run, discarding any previous checkpoint
+   * @param {object} params - { options, fetchSince, fetchedAt }; options are the run
+   *   options (since, skus, limit, removalPolicy, full, overlapMinutes) reused on resume
+   */
+  start({ options, fetchSince, fetchedAt }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.clear();
+    this.state = {
+      version: CHECKPOINT_VERSION,
+      startedAt: new Date().toISOString(),
+      phase: 'fetch',
+      options,
+      fetchSince,
+      fetchedAt,
+      nextPage: 1,
+      stats: null,
+      done: [],
+    };
+    this.save();
+  }
+
+  /**
+   * Records a fetched Yotpo page. Its reviews are appended right away; the next page is
+   * written every CHECKPOINT_INTERVAL_MS, so a resumed run may fetch a few pages again
+   * (their reviews are merged by ID).
+   */
+  recordPage(page, reviews) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (reviews.length > 0) {
+      appendFileSync(this.reviewsFilePath, reviews.map(review => JSON.stringify(review)).join('\n') + '\n');
+    }
+
+    this.state.nextPage = page + 1;
+
+    if (Date.now() - this.lastSavedAt >= CHECKPOINT_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  /**
+   * Gets the reviews fetched before the interruption
+   */
+  loadFetchedReviews() {
+    if (!this.enabled || !existsSync(this.reviewsFilePath)) {
+      return [];
+    }
+
+    const reviews = [];
+
+    readFileSync(this.reviewsFilePath, 'utf8').split('\n').forEach(line => {
+      // The last line may be cut off if the process died while appending
+      try {
+        if (line) {
+          reviews.push(JSON.parse(line));
+        }
+      } catch (error) {
+        // Its page is fetched again
+      }
+    });
+
+    return reviews;
+  }
+
+  /**
+   * Switches to the apply phase and stores the plan being applied
+   * @param {SyncPlan} plan - Plan about to be applied
+   * @param {object} stats - Sync stats so far, restored on resume for the summary
+   */
+  startApply(plan, stats) {
+    if (!this.enabled) {
+      return;
+    }
+
+    writeFileSync(this.planFilePath, JSON.stringify(plan.toJSON()));
+    this.state.stats = stats;
+    this.state.done = [];
+    this.setPhase('apply');
+  }
+
+  /**
+   * Loads the stored plan with already applied actions marked as done
+   */
+  loadPlan() {
+    const plan = SyncPlan.load(this.planFilePath);
+    plan.markDone(this.state.done);
+    return plan;
+  }
+
+  setPhase(phase) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.state.phase = phase;
+    this.save();
+  }
+
+  /**
+   * Records an applied plan action; progress is written every CHECKPOINT_INTERVAL_MS
+   * @param {number} index - Position of the action in the plan
+   */
+  recordDone(index) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.state.done.push(index);
+
+    if (Date.now() - this.lastSavedAt >= CHECKPOINT_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  /**
+   * Writes the checkpoint and the sync cache, so both agree on what was applied
+   */
+  save() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.syncCache) {
+      this.syncCache.saveCache({ quiet: true });
+    }
+
+    this.state.updatedAt = new Date().toISOString();
+    writeFileSync(this.filePath, JSON.stringify(this.state));
+    this.lastSavedAt = Date.now();
+  }
+
+  /**
+   * Removes the checkpoint after a run finished
+   */
+  complete() {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.clear();
+    this.state = null;
+  }
+
+  clear() {
+    [this.filePath, this.reviewsFilePath, this.planFilePath].forEach(path => {
+      rmSync(path, { force: true });
+    });
+  }
+}
@@ -0,0 +1,444 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { ShopifyClient } from '../clients/shopify-client.js';
+import { runOrdered } from './worker-pool.js';
+
+// Version 2: writes are handle-based upserts, so upsert actions carry a handle
+// Version 3: sync plans carry the fetched reviews, so apply can update the sync cache
+const PLAN_VERSION = 3;
+
+// Writes sent per GraphQL request; a metaobject mutation costs about 10 points,
+// well under Shopify's 1000-point limit per query
+const BATCH_SIZE = 25;
+
+// Batches in flight at once; the client's rate limiter paces them
+export const DEFAULT_CONCURRENCY = 4;
+
+// Fields that change on every run and would otherwise make every record look modified
+const VOLATILE_FIELDS = ['synced_at'];
+
+// Plan operation → counter name used in summaries
+const COUNTERS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  unchanged: 'unchanged',
+  skip: 'skipped',
+};
+
+const WRITE_OPERATIONS = ['create', 'update', 'delete'];
+
+const OPERATION_LOG = {
+  create: { emoji: '✓', verb: 'Created' },
+  update: { emoji: '↻', verb: 'Updated' },
+  delete: { emoji: '🗑', verb: 'Deleted' },
+};
+
+/**
+ * A list of metaobject writes computed before anything is sent to Shopify.
+ * Dry runs print (and optionally save) the plan; real runs apply it.
+ */
+export class SyncPlan {
+  constructor({ source, shop, createdAt = new Date().toISOString(), actions = [], fetched = null }) {
+    this.source = source; // 'sync' or 'stats'
+    this.shop = shop;
+    this.createdAt = createdAt;
+    this.actions = actions;
+    this.fetched = fetched; // sync plans: { reviews, complete }, see setFetchedReviews
+  }
+
+  /**
+   * Keeps the reviews a sync plan was made from, so applying a saved plan updates the
+   * statistics snapshots and pending reviews like the sync itself would have
+   * @param {Array} reviews - Every fetched review (pending ones from earlier runs included)
+   * @param {boolean} complete - True when reviews is the complete set (full fetch)
+   */
+  setFetchedReviews(reviews, complete) {
+    this.fetched = { reviews, complete };
+  }
+
+  /**
+   * Compares the fields we would write with an existing metaobject
+   * @param {object|null} existing - Metaobject from the cache (with fields)
+   * @param {Array} fields - [{ key, value }] we intend to write
+   * @returns {Array} - [{ key, from, to }] for every non-volatile field that differs; an
+   *   empty value ('' or '[]') matches a field Shopify returns as null
+   */
+  static diffFields(existing, fields) {
+    const current = new Map((existing?.fields || []).map(field => [field.key, normalizeValue(field.value)]));
+
+    return fields
+      .filter(field => !VOLATILE_FIELDS.includes(field.key))
+      .filter(field => (current.get(field.key) ?? null) !== normalizeValue(field.value))
+      .map(field => ({
+        key: field.key,
+        from: current.get(field.key) ?? null,
+        to: normalizeValue(field.value),
+      }));
+  }
+
+  /**
+   * Adds a create/update (or unchanged) action for a metaobject
+   * @param {object} params - { type, key, fields, existing, label, hash, status, removed }
+   *   status sets the publishable status on update (ACTIVE/DRAFT); removed records the
+   *   removal policy being applied so the sync cache can remember it
+   */
+  addUpsert({ type, key, fields, existing, label, hash = null, status = null, removed = null }) {
+    const action = { type, key: key.toString(), label, fields };
+
+    if (status) {
+      action.status = status;
+    }
+
+    if (hash) {
+      action.hash = hash;
+    }
+
+    if (removed) {
+      action.removed = removed;
+    }
+
+    resolveUpsert(action, existing);
+    this.actions.push(action);
+    return action;
+  }
+
+  /**
+   * Adds a metaobject deletion
+   * @param {object} params - { type, key, metaobjectId, label, removed }
+   */
+  addDelete({ type, key, metaobjectId, label, removed = null }) {
+    const action = { type, key: key.toString(), label, operation: 'delete', metaobjectId };
+
+    if (removed) {
+      action.removed = removed;
+    }
+
+    this.actions.push(action);
+    return action;
+  }
+
+  /**
+   * Records a record that will not be written, with the reason
+   */
+  addSkip({ type, key, label, reason }) {
+    const action = { type, key: key.toString(), label, operation: 'skip', reason };
+    this.actions.push(action);
+    return action;
+  }
+
+  /**
+   * Checks whether applying the plan would write anything (actions marked done excluded)
+   * @param {string|null} type - Only consider this metaobject type
+   */
+  hasChanges(type = null) {
+    return this.actions.some(action =>
+      !action.done && WRITE_OPERATIONS.includes(action.operation) && (!type || action.type === type)
+    );
+  }
+
+  /**
+   * Counts actions per metaobject type
+   * @returns {object} - { [type]: { created, updated, unchanged, skipped, errors } }
+   */
+  summarize() {
+    const summary = {};
+
+    this.actions.forEach(action => {
+      summary[action.type] = summary[action.type] || SyncPlan.emptyCounts();
+      summary[action.type][COUNTERS[action.operation]]++;
+    });
+
+    return summary;
+  }
+
+  static emptyCounts() {
+    return { created: 0, updated: 0, deleted: 0, unchanged: 0, skipped: 0, errors: 0 };
+  }
+
+  /**
+   * Prints every pending write with its field-level diff
+   */
+  print() {
+    const pending = this.actions.filter(action => action.operation !== 'unchanged');
+
+    console.log(`📝 Plan: ${pending.length} change(s), ${this.actions.length - pending.length} unchanged\n`);
+
+    pending.forEach(action => {
+      switch (action.operation) {
+        case 'create':
+          console.log(`  + create ${action.type}: ${action.label}`);
+          break;
+        case 'update':
+          console.log(`  ~ update ${action.type}: ${action.label}`);
+          action.diff.forEach(({ key, from, to }) => {
+            console.log(`      ${key}: ${formatValue(from)} → ${formatValue(to)}`);
+          });
+          break;
+        case 'delete':
+          console.log(`  - delete ${action.type}: ${action.label}`);
+          break;
+        case 'skip':
+          console.log(`  ⊘ skip   ${action.type}: ${action.label} (${action.reason})`);
+          break;
+      }
+    });
+  }
+
+  /**
+   * Writes the plan as JSON so it can be reviewed and applied later
+   */
+  save(filePath) {
+    writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    console.log(`\n✓ Plan saved to ${filePath}`);
+  }
+
+  toJSON() {
+    return {
+      version: PLAN_VERSION,
+      source: this.source,
+      shop: this.shop,
+      createdAt: this.createdAt,
+      summary: this.summarize(),
+      actions: this.actions,
+      fetched: this.fetched,
+    };
+  }
+
+  /**
+   * Loads a plan written by save()
+   */
+  static load(filePath) {
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+
+    if (data.version !== PLAN_VERSION) {
+      throw new Error(`Unsupported plan version ${data.version} in ${filePath} (expected ${PLAN_VERSION})`);
+    }
+
+    return new SyncPlan(data);
+  }
+
+  /**
+   * Marks actions as already applied (e.g. by an interrupted run), so apply() skips them
+   * @param {Array<number>} indexes - Positions in this.actions
+   */
+  markDone(indexes) {
+    indexes.forEach(index => {
+      this.actions[index].done = true;
+    });
+  }
+
+  /**
+   * Re-diffs the actions that are not done against the metaobject cache, so a resumed
+   * run doesn't create a metaobject twice when it was written after the last checkpoint.
+   * The caches for every type in the plan must be built first.
+   */
+  rebase(shopifyClient) {
+    this.actions.forEach(action => {
+      if (action.done || action.operation === 'skip') {
+        return;
+      }
+
+      const existing = shopifyClient.getCachedMetaobject(action.type, action.key);
+
+      if (action.operation === 'delete') {
+        if (!existing || existing.id !== action.metaobjectId) {
+          action.operation = 'unchanged';
+        }
+        return;
+      }
+
+      // A removal only carries is_active (and the status), so it can't create the
+      // metaobject; when that is gone, the removal has nothing left to do
+      if (action.removed && !existing) {
+        action.operation = 'unchanged';
+        action.diff = null;
+        return;
+      }
+
+      resolveUpsert(action, existing);
+    });
+  }
+
+  /**
+   * Executes the plan's creates, updates and deletes exactly as recorded, several per request
+   * @param {object} params - { shopifyClient, syncCache, types, onProgress, concurrency }; syncCache
+   *   is optional, types limits the run to those metaobject types (all when omitted), onProgress(index)
+   *   is called after each action that no longer needs to be applied, concurrency is the number of
+   *   batches sent in parallel (results are still logged and recorded in plan order)
+   * @returns {object} - Per-type counts, same shape as summarize()
+   */
+  async apply({ shopifyClient, syncCache = null, types = null, onProgress = null, concurrency = DEFAULT_CONCURRENCY }) {
+    const counts = {};
+    const indexes = this.actions
+      .map((action, index) => index)
+      .filter(index => !this.actions[index].done && (!types || types.includes(this.actions[index].type)));
+    const writes = [];
+
+    indexes.forEach(index => {
+      const action = this.actions[index];
+      counts[action.type] = counts[action.type] || SyncPlan.emptyCounts();
+
+      if (action.operation === 'skip') {
+        counts[action.type].skipped++;
+      } else if (action.operation === 'unchanged') {
+        counts[action.type].unchanged++;
+        if (syncCache) {
+          recordInCache(syncCache, action);
+        }
+        markApplied(action, index, onProgress);
+      } else {
+        writes.push(index);
+      }
+    });
+
+    const batches = [];
+    for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+      batches.push(writes.slice(start, start + BATCH_SIZE));
+    }
+
+    await runOrdered(batches, {
+      concurrency,
+      worker: batch => writeBatch(shopifyClient, batch.map(index => this.actions[index])),
+      onResult: (results, batch, batchIndex) => {
+        batch.forEach((index, offset) => {
+          const action = this.actions[index];
+          const typeCounts = counts[action.type];
+          const result = results[offset];
+          const progress = `[${batchIndex * BATCH_SIZE + offset + 1}/${writes.length}]`;
+
+          if (result.error) {
+            console.log(`${progress} ❌ Exception: ${action.label} - ${result.error.message}`);
+            typeCounts.errors++;
+            return;
+          }
+
+          if (result.userErrors && result.userErrors.length > 0) {
+            console.log(`${progress} ❌ Error: ${action.label}`);
+            result.userErrors.forEach(err => {
+              console.log(`     ${err.message}`);
+            });
+            typeCounts.errors++;
+            return;
+          }
+
+          const { emoji, verb } = OPERATION_LOG[action.operation];
+          console.log(`${progress} ${emoji} ${verb}: ${action.label}`);
+          typeCounts[COUNTERS[action.operation]]++;
+
+          if (action.operation === 'delete') {
+            shopifyClient.removeFromMetaobjectCache(action.type, action.key);
+          } else if (result.metaobject) {
+            shopifyClient.updateMetaobjectCache(action.type, action.key, result.metaobject);
+          }
+
+          // Mark as synced in cache
+          if (syncCache) {
+            recordInCache(syncCache, action);
+          }
+          markApplied(action, index, onProgress);
+        });
+      },
+    });
+
+    return counts;
+  }
+}
+
+/**
+ * Sets operation/diff for an upsert action from the current metaobject (or its absence)
+ */
+function resolveUpsert(action, existing) {
+  action.operation = 'create';
+  action.metaobjectId = null;
+  action.handle = ShopifyClient.getHandle(action.type, action.key);
+  action.diff = null;
+
+  if (!existing) {
+    return;
+  }
+
+  action.metaobjectId = existing.id;
+  action.handle = existing.handle;
+  action.diff = SyncPlan.diffFields(existing, action.fields);
+
+  const currentStatus = existing.capabilities?.publishable?.status || null;
+  if (action.status && action.status !== currentStatus) {
+    action.diff.push({ key: 'status', from: currentStatus, to: action.status });
+  }
+
+  action.operation = action.diff.length > 0 ? 'update' : 'unchanged';
+}
+
+function markApplied(action, index, onProgress) {
+  action.done = true;
+  if (onProgress) {
+    onProgress(index);
+  }
+}
+
+/**
+ * Sends a batch of write actions; the results line up with the actions. When the
+ * whole request fails, the actions are retried one by one so the failure is
+ * pinned to the action that caused it.
+ * @returns {Array} - Mutation payload, or { error } for a request that threw
+ */
+async function writeBatch(shopifyClient, actions) {
+  try {
+    return await shopifyClient.writeMetaobjects(actions.map(toWrite));
+  } catch (error) {
+    if (actions.length === 1) {
+      return [{ error }];
+    }
+
+    console.log(`⚠️  Batch of ${actions.length} writes failed (${error.message}), retrying one at a time`);
+
+    const results = [];
+    for (const action of actions) {
+      results.push(...await writeBatch(shopifyClient, [action]));
+    }
+    return results;
+  }
+}
+
+function toWrite(action) {
+  if (action.operation === 'delete') {
+    return { operation: 'delete', id: action.metaobjectId };
+  }
+
+  // New metaobjects are published; existing ones keep their status unless the plan changes it
+  const status = action.status || (action.operation === 'create' ? 'ACTIVE' : null);
+
+  return {
+    operation: 'upsert',
+    type: action.type,
+    handle: action.handle,
+    fields: action.fields,
+    capabilities: status ? { publishable: { status } } : null,
+  };
+}
+
+function recordInCache(syncCache, action) {
+  if (action.removed === 'delete') {
+    syncCache.forget(action.key, action.type);
+  } else if (action.removed) {
+    syncCache.markRemoved(action.key, action.removed, action.type);
+  } else if (action.hash) {
+    syncCache.markSyncedHash(action.key, action.hash, action.type);
+  }
+}
+
+/**
+ * Shopify returns cleared fields as null; we write them as '' (or '[]' for lists)
+ */
+function normalizeValue(value) {
+  return value === undefined || value === '' || value === '[]' ? null : value;
+}
+
+function formatValue(value) {
+  if (value === null) {
+    return '(empty)';
+  }
+
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}..."` : text;
+}
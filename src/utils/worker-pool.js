@@ -0,0 +1,31 @@
+/**
+ * Runs `worker` over items with at most `concurrency` calls in flight, and hands
+ * each result to `onResult` in the original order, as soon as every earlier item
+ * is done. Logging, counters and caches updated from onResult therefore behave
+ * exactly as in a sequential loop.
+ * @param {Array} items - Work items
+ * @param {object} params - { concurrency, worker, onResult }; worker(item, index) is async
+ *   and must not throw, onResult(result, item, index) is synchronous
+ */
+export async function runOrdered(items, { concurrency = 1, worker, onResult }) {
+  const results = new Map(); // index → result, for items finished ahead of their turn
+  let nextToStart = 0;
+  let nextToReport = 0;
+
+  async function runWorker() {
+    while (nextToStart < items.length) {
+      const index = nextToStart++;
+      results.set(index, await worker(items[index], index));
+
+      while (results.has(nextToReport)) {
+        const result = results.get(nextToReport);
+        results.delete(nextToReport);
+        onResult(result, items[nextToReport], nextToReport);
+        nextToReport++;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+}
@@ -0,0 +1,90 @@
+import { YotpoClient } from './clients/yotpo-client.js';
+import { ShopifyClient } from './clients/shopify-client.js';
+import { REQUIRED_ENV } from './status.js';
+import { checkSchema, ALL_TYPES } from './utils/schema-check.js';
+import { SCHEMA_VERSION } from './config/schema.js';
+import { STOREFRONT_ACCESS } from './config/storefront.js';
+
+/**
+ * Checks that credentials work and the metaobject definitions have every field
+ * the sync writes, without writing anything to either platform.
+ */
+export async function verifySetup() {
+  console.log('🔎 Verifying configuration...\n');
+
+  const checks = [];
+
+  const record = (name, ok, detail) => {
+    checks.push({ name, ok, detail });
+    console.log(`  ${ok ? '✓' : '✗'} ${name}${detail ? ` - ${detail}` : ''}`);
+  };
+
+  const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+  record(
+    'Environment variables',
+    missingEnv.length === 0,
+    missingEnv.length > 0 ? `missing ${missingEnv.join(', ')}` : null
+  );
+
+  if (missingEnv.length === 0) {
+    try {
+      await YotpoClient.fromEnv().authenticate();
+      record('Yotpo authentication', true);
+    } catch (error) {
+      record('Yotpo authentication', false, error.message);
+    }
+
+    const shopifyClient = ShopifyClient.fromEnv();
+
+    try {
+      const shop = await shopifyClient.getShop();
+      record('Shopify access', true, shop.myshopifyDomain);
+
+      const { problems, definitions, recordedVersion } = await checkSchema(shopifyClient);
+
+      ALL_TYPES.forEach(type => {
+        const typeProblems = problems.filter(problem => problem.type === type);
+        const details = typeProblems.map(problem => (problem.key ? `${problem.key} ${problem.message}` : problem.message));
+
+        record(
+          `Definition ${type}`,
+          typeProblems.length === 0,
+          typeProblems.length === 0
+            ? `${definitions[type].fieldDefinitions.length} fields`
+            : `${details.join('; ')}, run "yotpo-sync setup"`
+        );
+      });
+
+      const metafieldProblems = problems.filter(problem => problem.type === 'product_metafield');
+      record(
+        'Product metafields',
+        metafieldProblems.length === 0,
+        metafieldProblems.length === 0
+          ? null
+          : `${metafieldProblems.map(problem => `${problem.key} ${problem.message}`).join('; ')}, run "yotpo-sync setup"`
+      );
+
+      // Themes and the Storefront API only see metaobjects of readable definitions
+      const closed = ALL_TYPES.filter(type => definitions[type] && (definitions[type].access?.storefront || 'NONE') !== STOREFRONT_ACCESS);
+      record(
+        'Storefront access',
+        closed.length === 0,
+        closed.length === 0 ? STOREFRONT_ACCESS : `${closed.join(', ')} not ${STOREFRONT_ACCESS}, run "yotpo-sync setup"`
+      );
+
+      // Stores set up before versions were recorded pass on their fields alone
+      record(
+        'Schema version',
+        recordedVersion === null || recordedVersion >= SCHEMA_VERSION,
+        `${recordedVersion ?? 'not recorded'} in Shopify, ${SCHEMA_VERSION} expected`
+      );
+    } catch (error) {
+      record('Shopify access', false, error.message);
+    }
+  }
+
+  const failed = checks.filter(check => !check.ok).length;
+  console.log(`\n${failed === 0 ? '✅ All checks passed' : `⚠️  ${failed} check(s) failed`}`);
+
+  return { checks, errors: failed };
+}